@@ -4,45 +4,62 @@
 // Ben C - Sept 2022
 //
 
-import axios from 'axios'
+import promClient from 'prom-client'
+import { getClient } from './http/client.mjs'
+import { createLogger } from './logging/logger.mjs'
+
+// All calls to Graph share one client, so they share timeouts, retries & a circuit breaker
+const graphClient = getClient('Microsoft Graph', { baseURL: 'https://graph.microsoft.com/v1.0' })
+
+const log = createLogger('graph')
+
+const graphCounter = new promClient.Counter({
+  name: 'graph_requests_total',
+  help: 'Calls to Microsoft Graph, by call & outcome; success or error',
+  labelNames: ['call', 'outcome'],
+})
 
 export async function getUserDetails(accessToken) {
   if (!accessToken) {
-    console.log('No access token provided to getUserDetails');
+    log.warn('No access token provided to getUserDetails');
     return null;
   }
   try {
     const graphReq = {
-      url: 'https://graph.microsoft.com/v1.0/me',
+      url: '/me',
       headers: { 
         'Authorization': `Bearer ${accessToken}`
       },
     }
-    const resp = await axios(graphReq)
+    const resp = await graphClient.request(graphReq)
+    graphCounter.inc({ call: 'user_details', outcome: 'success' })
     return resp.data
   } catch (err) {
-    console.log(`### 💥 ERROR! Failed to get user details ${err.toString()}`)
+    graphCounter.inc({ call: 'user_details', outcome: 'error' })
+    log.error('💥 Failed to get user details', { err })
     return null;
   }
 }
 
 export async function getUserPhoto(accessToken) {
   if (!accessToken) {
-    console.log('No access token provided to getUserPhoto');
+    log.warn('No access token provided to getUserPhoto');
     return null;
   }
   try {
     const graphReq = {
-      url: 'https://graph.microsoft.com/v1.0/me/photo/$value',
+      url: '/me/photo/$value',
       responseType: 'arraybuffer',
       headers: { 
         'Authorization': `Bearer ${accessToken}`
       },
     }
-    const resp = await axios(graphReq)
+    const resp = await graphClient.request(graphReq)
+    graphCounter.inc({ call: 'user_photo', outcome: 'success' })
     return new Buffer.from(resp.data, 'binary').toString('base64')
   } catch (err) {
-    console.log(`### 💥 ERROR! Failed to get user photo ${err.toString()}`)
+    graphCounter.inc({ call: 'user_photo', outcome: 'error' })
+    log.error('💥 Failed to get user photo', { err })
     return null;
   }
 }
@@ -0,0 +1,68 @@
+//
+// Health checks for readiness, each enabled dependency registers a check & they are all run for /health/ready
+// A failing critical check means the app isn't ready, other failures only mean it's degraded
+// ----------------------------------------------
+//
+
+// How long each check gets before it counts as failed
+export const HEALTH_TIMEOUT_MS = parseInt(process.env.HEALTH_TIMEOUT_MS ?? '2000') || 2000
+
+const checks = new Map()
+
+//
+// Register a check, check is an async function that throws when the dependency isn't healthy
+// Options are critical, false for dependencies the app can live without, and cacheSeconds to reuse the last
+// result for a while, for checks that cost something like API quota
+//
+export function registerCheck(name, check, { critical = true, cacheSeconds = 0 } = {}) {
+  checks.set(name, { check, critical, cacheSeconds, last: null })
+}
+
+//
+// Run every check at the same time, returns { status, checks } where status is one of:
+//   ok        everything is healthy
+//   degraded  a non critical check failed, the app still works without it
+//   fail      a critical check failed
+// Each check in the report is { name, critical, status, latencyMs, checkedAt }, plus error when it failed
+//
+export async function runChecks() {
+  const results = await Promise.all(
+    [...checks].map(async ([name, entry]) => {
+      if (entry.last && Date.now() - Date.parse(entry.last.checkedAt) < entry.cacheSeconds * 1000) {
+        return entry.last
+      }
+
+      entry.last = { name, critical: entry.critical, ...(await timeCheck(entry.check)) }
+      return entry.last
+    }),
+  )
+
+  let status = 'ok'
+  if (results.some((result) => result.status === 'fail')) status = 'degraded'
+  if (results.some((result) => result.status === 'fail' && result.critical)) status = 'fail'
+
+  return { status, checks: results }
+}
+
+async function timeCheck(check) {
+  const checkedAt = new Date().toISOString()
+  const start = performance.now()
+  let timer
+
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${HEALTH_TIMEOUT_MS}ms`)), HEALTH_TIMEOUT_MS)
+    })
+    await Promise.race([check(), timeout])
+
+    return { status: 'ok', latencyMs: elapsed(start), checkedAt }
+  } catch (err) {
+    return { status: 'fail', latencyMs: elapsed(start), checkedAt, error: err.message ?? String(err) }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+function elapsed(start) {
+  return Math.round((performance.now() - start) * 10) / 10
+}
@@ -0,0 +1,84 @@
+//
+// Circuit breaker, stops calling an upstream that keeps failing so we fail fast & give it a chance to recover
+// Closed lets everything through, open rejects everything, and once the reset time has passed it goes half-open
+// which lets a single trial call through; if that works it closes again, otherwise it opens for another reset time
+// ----------------------------------------------
+//
+
+export const BREAKER_STATES = ['closed', 'open', 'half-open']
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} is unavailable, circuit breaker is open until ${retryAt.toISOString()}`)
+    this.name = 'CircuitOpenError'
+    this.code = 'ECIRCUITOPEN'
+    this.retryAt = retryAt
+  }
+}
+
+export default class CircuitBreaker {
+  // Opens after failureThreshold failures in a row, and stays open for resetTimeout milliseconds
+  // onStateChange is called with (state, previousState) every time the state changes
+  constructor(name, failureThreshold, resetTimeout, onStateChange = () => {}) {
+    this.name = name
+    this.failureThreshold = failureThreshold
+    this.resetTimeout = resetTimeout
+    this.onStateChange = onStateChange
+
+    this.state = 'closed'
+    this.failures = 0
+    this.openedAt = null
+    this.trialInFlight = false
+  }
+
+  //
+  // Call before every request, throws a CircuitOpenError when the request isn't allowed
+  //
+  check() {
+    if (this.state === 'open') {
+      const retryAt = new Date(this.openedAt + this.resetTimeout)
+      if (Date.now() < retryAt.getTime()) throw new CircuitOpenError(this.name, retryAt)
+
+      this.setState('half-open')
+    }
+
+    // Only one trial at a time, everyone else waits to see how it goes
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) throw new CircuitOpenError(this.name, new Date(Date.now() + this.resetTimeout))
+      this.trialInFlight = true
+    }
+  }
+
+  // The upstream answered, even an error like a 404 means it's up
+  success() {
+    this.failures = 0
+    this.trialInFlight = false
+    if (this.state !== 'closed') this.setState('closed')
+  }
+
+  failure() {
+    this.failures++
+    this.trialInFlight = false
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.openedAt = Date.now()
+      this.setState('open')
+    }
+  }
+
+  // Plain object for the dependency status, retryAt is when an open breaker will next let a request through
+  status() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+    }
+  }
+
+  setState(state) {
+    const previous = this.state
+    this.state = state
+    this.onStateChange(state, previous)
+  }
+}
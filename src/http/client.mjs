@@ -0,0 +1,145 @@
+//
+// Shared client for every outbound HTTP call, wraps axios with timeouts, retries & a circuit breaker per upstream
+// Get a client with getClient(name), all calls to the same upstream should share a name so they share a breaker
+// ----------------------------------------------
+//
+
+import axios from 'axios'
+import appInsights from 'applicationinsights'
+import CircuitBreaker from './breaker.mjs'
+import { createLogger } from '../logging/logger.mjs'
+
+// Settings for every client, each can be overridden when the client is created
+const DEFAULTS = {
+  timeout: parseInt(process.env.HTTP_TIMEOUT_MS ?? '10000'),
+  retries: parseInt(process.env.HTTP_RETRIES ?? '2'),
+  retryDelay: parseInt(process.env.HTTP_RETRY_DELAY_MS ?? '200'),
+  breakerFailures: parseInt(process.env.HTTP_BREAKER_FAILURES ?? '5'),
+  breakerResetSeconds: parseInt(process.env.HTTP_BREAKER_RESET_SECONDS ?? '30'),
+}
+
+// Only these are safe to send twice, anything else is never retried
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete']
+const RETRY_DELAY_MAX = 5000
+
+const clients = new Map()
+const log = createLogger('http-client')
+
+//
+// Get the client for an upstream, creating it the first time
+// Options are baseURL, headers & any of DEFAULTS, they are only used when the client is created
+//
+export function getClient(name, options = {}) {
+  let client = clients.get(name)
+  if (!client) {
+    client = new HttpClient(name, options)
+    clients.set(name, client)
+  }
+
+  return client
+}
+
+//
+// Status of every upstream we've set up a client for, used by the dependency status page & API
+//
+export function getDependencyStatus() {
+  return [...clients.values()].map((client) => client.status())
+}
+
+export class HttpClient {
+  constructor(name, options = {}) {
+    const { baseURL, headers, ...settings } = options
+
+    this.name = name
+    this.settings = { ...DEFAULTS, ...settings }
+    this.axios = axios.create({ baseURL, headers, timeout: this.settings.timeout })
+    this.breaker = new CircuitBreaker(
+      name,
+      this.settings.breakerFailures,
+      this.settings.breakerResetSeconds * 1000,
+      (state, previous) => breakerChanged(name, state, previous),
+    )
+    this.stats = { requests: 0, failures: 0, retries: 0, lastError: null, lastErrorAt: null }
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url })
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data })
+  }
+
+  //
+  // Send a request, config is as for axios plus retries to override the number of retries for this call
+  // Returns the axios response, or throws the axios error from the last attempt or a CircuitOpenError
+  //
+  async request(config) {
+    const { retries = this.settings.retries, ...axiosConfig } = config
+    const method = (axiosConfig.method ?? 'get').toLowerCase()
+    const attempts = IDEMPOTENT_METHODS.includes(method) ? retries + 1 : 1
+
+    for (let attempt = 1; ; attempt++) {
+      this.breaker.check()
+      this.stats.requests++
+
+      try {
+        const resp = await this.axios.request(axiosConfig)
+        this.breaker.success()
+        return resp
+      } catch (err) {
+        // Client errors mean the upstream is working, it just didn't like the request
+        if (!isUpstreamFailure(err)) {
+          this.breaker.success()
+          throw err
+        }
+
+        this.breaker.failure()
+        this.stats.failures++
+        this.stats.lastError = err.message
+        this.stats.lastErrorAt = new Date().toISOString()
+
+        if (attempt >= attempts || this.breaker.state === 'open') throw err
+
+        this.stats.retries++
+        await sleep(backoff(this.settings.retryDelay, attempt))
+      }
+    }
+  }
+
+  status() {
+    return {
+      name: this.name,
+      baseURL: this.axios.defaults.baseURL ?? null,
+      timeout: this.settings.timeout,
+      ...this.breaker.status(),
+      ...this.stats,
+    }
+  }
+}
+
+// No response, a server error or being rate limited all count against the breaker
+function isUpstreamFailure(err) {
+  if (!err.response) return true
+
+  const status = err.response.status
+  return status >= 500 || status === 429
+}
+
+// Exponential backoff with jitter, so retries from lots of requests don't all land at once
+function backoff(retryDelay, attempt) {
+  const delay = Math.min(retryDelay * 2 ** (attempt - 1), RETRY_DELAY_MAX)
+  return delay / 2 + Math.random() * (delay / 2)
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+function breakerChanged(name, state, previous) {
+  log[state === 'open' ? 'warn' : 'info'](`🔌 Circuit breaker for ${name} is now ${state}, was ${previous}`)
+
+  if (appInsights.defaultClient) {
+    appInsights.defaultClient.trackEvent({ name: 'circuitBreaker', properties: { dependency: name, state, previous } })
+  }
+}
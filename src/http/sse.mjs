@@ -0,0 +1,33 @@
+//
+// Server-Sent Events, sets up a response as an event stream that stays open until the client goes away
+// Used by the live todo updates, the monitor page & the CPU load tool
+// ----------------------------------------------
+//
+
+// Browsers reconnect after this long when the connection drops
+const RETRY_MS = 5000
+
+// Proxies & load balancers drop connections that are idle for too long, so a comment is sent every so often
+const KEEP_ALIVE_MS = 25000
+
+//
+// Start an event stream, subscribe is called with send(event, data) and can return a function to clean up with,
+// which is called when the client disconnects
+//
+export function openEventStream(req, res, subscribe) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  })
+  res.write(`retry: ${RETRY_MS}\n\n`)
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS)
+  const unsubscribe = subscribe(send)
+
+  req.on('close', () => {
+    clearInterval(keepAlive)
+    if (unsubscribe) unsubscribe()
+  })
+}
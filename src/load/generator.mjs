@@ -0,0 +1,221 @@
+//
+// CPU load generator for the tools page, the load runs in worker threads so the server stays responsive
+// Only one load runs at a time, it can be cancelled & its progress is pushed to listeners every second
+// The block mode runs on the main thread instead, freezing the whole server on purpose
+// ----------------------------------------------
+//
+
+import { Worker } from 'worker_threads'
+import { EventEmitter } from 'events'
+import { randomUUID } from 'crypto'
+import appInsights from 'applicationinsights'
+import { cpuLimit } from '../monitoring/cgroup.mjs'
+import { createLogger } from '../logging/logger.mjs'
+
+export const LOAD_MODES = ['workers', 'block']
+export const LOAD_MAX_SECONDS = parseInt(process.env.LOAD_MAX_SECONDS ?? '300') || 300
+export const LOAD_DEFAULTS = { mode: 'workers', durationSeconds: 30, cores: 1, utilisation: 100 }
+
+// Blocking stops everything, health checks included, so it's kept short
+export const BLOCK_MAX_SECONDS = 30
+
+const PROGRESS_MS = 1000
+
+const log = createLogger('load')
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0)
+
+// The running load, or the last one once it has stopped
+let current = null
+
+//
+// Most cores a load can use, the CPU limit when in a container with one, rounded up
+//
+export function maxCores() {
+  return Math.max(1, Math.ceil(cpuLimit()))
+}
+
+//
+// Parse & validate the options for a load, returns { options, errors } where errors is an array of { field, message }
+// Options are mode, durationSeconds, cores & utilisation (a percentage), anything left out uses LOAD_DEFAULTS
+// Block mode always uses one core flat out, so cores & utilisation are ignored
+//
+export function parseLoadOptions(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { options: null, errors: [{ field: null, message: 'Load options must be a JSON object' }] }
+  }
+
+  const options = { ...LOAD_DEFAULTS }
+  const errors = []
+
+  if (input.mode !== undefined) {
+    if (LOAD_MODES.includes(input.mode)) {
+      options.mode = input.mode
+    } else {
+      errors.push({ field: 'mode', message: `must be one of: ${LOAD_MODES.join(', ')}` })
+    }
+  }
+
+  const maxSeconds = options.mode === 'block' ? BLOCK_MAX_SECONDS : LOAD_MAX_SECONDS
+  const limits = { durationSeconds: [1, maxSeconds], cores: [1, maxCores()], utilisation: [1, 100] }
+
+  for (const [field, [min, max]] of Object.entries(limits)) {
+    if (input[field] === undefined) continue
+
+    const value = Number(input[field])
+    if (Number.isInteger(value) && value >= min && value <= max) {
+      options[field] = value
+    } else {
+      errors.push({ field, message: `must be a whole number between ${min} and ${max}` })
+    }
+  }
+
+  if (options.mode === 'block') {
+    options.cores = 1
+    options.utilisation = 100
+  }
+
+  return { options, errors }
+}
+
+//
+// Start a load with options from parseLoadOptions, returns its status or null when a load is already running
+// Worker loads return straight away, block loads only return once they have finished
+//
+export function startLoad(options) {
+  if (current?.status === 'running') return null
+
+  current = {
+    ...options,
+    id: randomUUID(),
+    status: 'running',
+    startedAt: Date.now(),
+    finishedAt: null,
+    iterations: new Array(options.cores).fill(0),
+    error: null,
+  }
+  log.info('🔥 Starting CPU load', options)
+
+  if (options.mode === 'block') {
+    runBlocking(current)
+  } else {
+    runWorkers(current)
+  }
+
+  return loadStatus()
+}
+
+//
+// Cancel the running load, returns its status or null when nothing is running
+// Workers stop within a fraction of a second, so the status will still be running at first
+//
+export function cancelLoad() {
+  if (current?.status !== 'running' || !current.control) return null
+
+  const cancelled = new Int32Array(current.control)
+  Atomics.store(cancelled, 0, 1)
+  Atomics.notify(cancelled, 0)
+  current.cancelRequested = true
+
+  return loadStatus()
+}
+
+//
+// Status of the running load, or the last one, null if there hasn't been one
+//
+export function loadStatus() {
+  if (!current) return null
+
+  const { id, mode, status, durationSeconds, cores, utilisation, startedAt, finishedAt, error } = current
+  const elapsedSeconds = ((finishedAt ?? Date.now()) - startedAt) / 1000
+
+  return {
+    id,
+    mode,
+    status,
+    durationSeconds,
+    cores,
+    utilisation,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: finishedAt ? new Date(finishedAt).toISOString() : null,
+    elapsedSeconds: Math.round(elapsedSeconds * 10) / 10,
+    progress: status === 'finished' ? 100 : Math.min(99, Math.floor((elapsedSeconds / durationSeconds) * 100)),
+    iterations: current.iterations.reduce((total, count) => total + count, 0),
+    error,
+  }
+}
+
+//
+// Listen for the status of loads, sent every second while one is running & when it stops
+// Returns a function to stop listening
+//
+export function subscribeLoad(listener) {
+  emitter.on('status', listener)
+  return () => emitter.off('status', listener)
+}
+
+function runWorkers(load) {
+  // Shared with every worker, set to 1 to cancel
+  load.control = new SharedArrayBuffer(4)
+  let running = load.cores
+
+  const timer = setInterval(() => emitter.emit('status', loadStatus()), PROGRESS_MS)
+  timer.unref()
+
+  for (let index = 0; index < load.cores; index++) {
+    const worker = new Worker(new URL('./worker.mjs', import.meta.url), {
+      workerData: { durationMs: load.durationSeconds * 1000, utilisation: load.utilisation, control: load.control },
+    })
+
+    worker.on('message', ({ iterations }) => {
+      load.iterations[index] = iterations
+    })
+
+    worker.on('error', (err) => {
+      load.error = err.message
+      cancelLoad()
+    })
+
+    worker.on('exit', () => {
+      running--
+      if (running > 0) return
+
+      clearInterval(timer)
+      finish(load, load.error ? 'failed' : load.cancelRequested ? 'cancelled' : 'finished')
+    })
+  }
+}
+
+// Deliberately blocks the event loop, nothing else is handled until this returns
+function runBlocking(load) {
+  const end = load.startedAt + load.durationSeconds * 1000
+  let result = 0
+
+  while (Date.now() < end) {
+    for (let i = 0; i < 10000; i++) result += Math.pow(i, 0.5)
+    load.iterations[0]++
+  }
+
+  // Kept so the sums can't be optimised away
+  load.result = result
+  finish(load, 'finished')
+}
+
+function finish(load, status) {
+  load.status = status
+  load.finishedAt = Date.now()
+
+  const finalStatus = loadStatus()
+  emitter.emit('status', finalStatus)
+
+  const level = status === 'failed' ? 'error' : 'info'
+  log[level](`🔥 CPU load ${status}`, { elapsedSeconds: finalStatus.elapsedSeconds, error: load.error ?? undefined })
+
+  if (appInsights.defaultClient) {
+    appInsights.defaultClient.trackEvent({
+      name: 'cpuLoad',
+      properties: { mode: load.mode, status, cores: load.cores, utilisation: load.utilisation },
+      measurements: { durationSeconds: load.durationSeconds, elapsedSeconds: finalStatus.elapsedSeconds },
+    })
+  }
+}
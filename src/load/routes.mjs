@@ -0,0 +1,87 @@
+//
+// Routes for the CPU load generator, the tools page for it & an API to start, watch & cancel loads
+// ----------------------------------------------
+//
+
+import express from 'express'
+const router = express.Router()
+import {
+  parseLoadOptions,
+  startLoad,
+  cancelLoad,
+  loadStatus,
+  subscribeLoad,
+  maxCores,
+  LOAD_DEFAULTS,
+  LOAD_MAX_SECONDS,
+  BLOCK_MAX_SECONDS,
+} from './generator.mjs'
+import { openEventStream } from '../http/sse.mjs'
+
+// =======================================================================
+// Page to generate CPU load
+// =======================================================================
+router.get('/tools/load', function (req, res, next) {
+  res.render('load', {
+    title: 'Node DemoApp: CPU Load',
+    defaults: LOAD_DEFAULTS,
+    maxCores: maxCores(),
+    maxSeconds: LOAD_MAX_SECONDS,
+    blockMaxSeconds: BLOCK_MAX_SECONDS,
+  })
+})
+
+//
+// Load API: GET - status of the running load, or the last one
+//
+router.get('/api/tools/load', function (req, res, next) {
+  const status = loadStatus()
+  if (!status) {
+    return res.status(404).send({ error: 'No load has been run' })
+  }
+
+  res.status(200).send(status)
+})
+
+//
+// Load API: POST - start a load, see parseLoadOptions for the options
+// Worker loads are accepted & run in the background, block loads only respond once they have finished
+//
+router.post('/api/tools/load', function (req, res, next) {
+  const { options, errors } = parseLoadOptions(req.body)
+  if (errors.length > 0) {
+    return res.status(400).send({ error: 'Load options failed validation', errors })
+  }
+
+  const status = startLoad(options)
+  if (!status) {
+    return res.status(409).send({ error: 'A load is already running, cancel it or wait for it to finish' })
+  }
+
+  res.status(options.mode === 'block' ? 200 : 202).send(status)
+})
+
+//
+// Load API: DELETE - cancel the running load
+//
+router.delete('/api/tools/load', function (req, res, next) {
+  const status = cancelLoad()
+  if (!status) {
+    return res.status(404).send({ error: 'No load is running' })
+  }
+
+  res.status(200).send(status)
+})
+
+//
+// Load API: GET - stream of load status using Server-Sent Events, sent every second while a load is running
+//
+router.get('/api/tools/load/events', function (req, res, next) {
+  openEventStream(req, res, (send) => {
+    const status = loadStatus()
+    if (status) send('status', status)
+    return subscribeLoad((status) => send('status', status))
+  })
+})
+
+export default router
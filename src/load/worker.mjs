@@ -0,0 +1,41 @@
+//
+// Worker thread for the load generator, keeps one core busy for part of every slice of time
+// Stops when the time is up or the control flag is set, and posts its progress every second
+// ----------------------------------------------
+//
+
+import { parentPort, workerData } from 'worker_threads'
+
+// Load is made in short slices, busy for the utilisation & idle for the rest, so it averages out smoothly
+const SLICE_MS = 100
+const REPORT_MS = 1000
+
+const { durationMs, utilisation, control } = workerData
+const cancelled = new Int32Array(control)
+
+const end = Date.now() + durationMs
+let iterations = 0
+let lastReport = Date.now()
+let result = 0
+
+while (Date.now() < end && Atomics.load(cancelled, 0) === 0) {
+  const sliceStart = Date.now()
+  const busyUntil = sliceStart + (SLICE_MS * utilisation) / 100
+
+  while (Date.now() < busyUntil) {
+    // Some really hard sums, the result is sent back at the end so they can't be optimised away
+    for (let i = 0; i < 10000; i++) result += Math.pow(i, 0.5)
+    iterations++
+  }
+
+  // Sleeps without spinning, and wakes straight away when cancelled
+  const idleMs = sliceStart + SLICE_MS - Date.now()
+  if (idleMs > 0) Atomics.wait(cancelled, 0, 0, idleMs)
+
+  if (Date.now() - lastReport >= REPORT_MS) {
+    parentPort.postMessage({ iterations })
+    lastReport = Date.now()
+  }
+}
+
+parentPort.postMessage({ iterations, result })
@@ -0,0 +1,148 @@
+//
+// Structured logger, every line has a time, level & message plus any fields, and the request ID when there is one
+// Secrets & tokens are redacted before anything is written. Output is JSON or pretty text, see LOG_FORMAT
+// ----------------------------------------------
+//
+
+import { AsyncLocalStorage } from 'async_hooks'
+import { inspect } from 'util'
+import { trace } from '@opentelemetry/api'
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+export const LOG_FORMATS = ['json', 'pretty']
+
+// Anything unknown falls back to the default, so a typo doesn't switch logging off
+const LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info'
+const FORMAT = LOG_FORMATS.includes(process.env.LOG_FORMAT)
+  ? process.env.LOG_FORMAT
+  : process.env.NODE_ENV === 'production'
+    ? 'json'
+    : 'pretty'
+
+const REDACTED = '[REDACTED]'
+
+// Fields with these names are never logged, whatever they hold, the whole name has to match so flags like gotAccessToken are kept
+const SECRET_KEYS =
+  /^(pass(word)?|(client[-_]?)?secret|((access|refresh|id)[-_]?)?token|(proxy-)?authorization|(set-)?cookie|(x-)?api[-_]?key|appid|connection[-_]?string|(code[-_]?)?verifier)$/i
+
+// Secrets that turn up inside other strings, like URLs & error messages
+const SECRET_PATTERNS = [
+  [/(bearer\s+)[\w.~+/=-]+/gi, `$1${REDACTED}`],
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED],
+  [/([?&](?:appid|key|api_key|apikey|code|token|access_token|client_info|sig)=)[^&\s#]+/gi, `$1${REDACTED}`],
+  [/(\w+:\/\/)[^/\s:@]+:[^/\s@]+@/g, `$1${REDACTED}@`],
+  [/(InstrumentationKey=)[\w-]+/gi, `$1${REDACTED}`],
+]
+
+// Deeply nested objects are cut off, logs are for reading not for dumping whole objects
+const MAX_DEPTH = 5
+
+const requestContext = new AsyncLocalStorage()
+
+const COLOURS = { debug: 90, info: 36, warn: 33, error: 31 }
+const useColour = FORMAT === 'pretty' && process.stdout.isTTY
+
+//
+// Create a logger, name is added to every line so you can tell which part of the app it came from
+// Each method takes a message & optional fields, errors can be passed as the err field
+//
+export function createLogger(name) {
+  const logger = {}
+  for (const level of LOG_LEVELS) {
+    logger[level] = (message, fields) => write(level, name, message, fields)
+  }
+
+  return logger
+}
+
+//
+// Run a function with a request ID, anything logged while it runs, or from async work it starts, has that ID
+//
+export function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn)
+}
+
+//
+// The request ID for the request being handled right now, or undefined when outside of one
+//
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId
+}
+
+//
+// Remove secrets from any value, returns a copy that is safe to log. Errors become plain objects
+//
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value)
+  if (value === null || typeof value !== 'object') return value
+  if (seen.has(value)) return '[Circular]'
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]'
+  seen.add(value)
+
+  if (value instanceof Error) {
+    const { name, message, stack, code, status } = value
+    return redact({ name, message, code, status, stack }, depth, seen)
+  }
+
+  if (value instanceof Date) return value.toISOString()
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1, seen))
+
+  const result = {}
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue
+    result[key] = SECRET_KEYS.test(key) ? REDACTED : redact(item, depth + 1, seen)
+  }
+
+  return result
+}
+
+function redactString(text) {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text)
+}
+
+function write(level, name, message, fields = {}) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(LEVEL)) return
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    name,
+    message: redactString(String(message)),
+    requestId: currentRequestId(),
+    ...(FORMAT === 'json' ? traceIds() : {}),
+    ...redact(fields),
+  }
+
+  // Stacks are only worth the space for real errors, not warnings like a 404
+  if (level !== 'error' && entry.err?.stack) delete entry.err.stack
+
+  // Console rather than stdout, so App Insights still collects logs when it's enabled
+  const output = level === 'error' || level === 'warn' ? console.error : console.log
+  output(FORMAT === 'json' ? JSON.stringify(entry) : pretty(entry))
+}
+
+// When tracing is enabled, log lines can be matched up with the trace they were part of
+function traceIds() {
+  const spanContext = trace.getActiveSpan()?.spanContext()
+  if (!spanContext) return {}
+
+  return { traceId: spanContext.traceId, spanId: spanContext.spanId }
+}
+
+// One line per entry for people, with any fields after the message and error stacks underneath
+function pretty({ time, level, name, message, requestId, err, ...fields }) {
+  let levelText = level.toUpperCase().padEnd(5)
+  if (useColour) levelText = `\x1b[${COLOURS[level]}m${levelText}\x1b[0m`
+
+  let line = `${time.slice(11, 23)} ${levelText} [${name}] ${message}`
+  for (const [key, value] of Object.entries(fields)) {
+    line += ` ${key}=${typeof value === 'string' ? value : inspect(value, { breakLength: Infinity, depth: 2 })}`
+  }
+
+  if (typeof err === 'string') line += ` err=${err}`
+  else if (err) line += ` err=${err.name ?? 'Error'}: ${err.message ?? inspect(err)}`
+  if (requestId) line += ` (${requestId})`
+  if (level === 'error' && err?.stack) line += `\n${err.stack.split('\n').slice(1).join('\n')}`
+
+  return line
+}
@@ -0,0 +1,55 @@
+//
+// Request logging middleware, gives every request an ID & logs each one once it has finished
+// The ID is taken from the X-Request-ID header when the caller sends one, and always sent back on the response
+// ----------------------------------------------
+//
+
+import { randomUUID } from 'crypto'
+import { createLogger, runWithRequestId } from './logger.mjs'
+import { routeTemplate } from '../routes/metrics.mjs'
+
+export const REQUEST_ID_HEADER = 'X-Request-ID'
+
+// Only trust IDs that look like IDs, anything else could be used to fill the logs with junk
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/
+
+const log = createLogger('http')
+
+//
+// Middleware to set req.id & the response header, everything after it is run with the ID so it is on every log line
+//
+export function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER)
+  req.id = VALID_REQUEST_ID.test(incoming ?? '') ? incoming : randomUUID()
+  res.set(REQUEST_ID_HEADER, req.id)
+
+  runWithRequestId(req.id, next)
+}
+
+//
+// Middleware to log every request when the response is finished, URLs are redacted like everything else
+// Server errors are logged as errors & client errors as warnings, so they stand out
+//
+export function requestLogger() {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint()
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info'
+
+      // Finish can fire outside of the request, so the ID is passed on again
+      runWithRequestId(req.id, () =>
+        log[level]('Request finished', {
+          method: req.method,
+          url: req.originalUrl,
+          route: routeTemplate(req),
+          status: res.statusCode,
+          durationMs: Math.round(durationMs * 10) / 10,
+          contentLength: res.get('Content-Length'),
+        }),
+      )
+    })
+
+    next()
+  }
+}
@@ -0,0 +1,132 @@
+//
+// Container detection & resource figures from Linux control groups, supports cgroup v2 with v1 as a fallback
+// Inside a container the cgroup files describe the container, so they give its real memory & CPU limits
+// ----------------------------------------------
+//
+
+import fs from 'fs'
+import os from 'os'
+
+const CGROUP_ROOT = '/sys/fs/cgroup'
+
+// cgroup v1 reports 'no limit' as a huge number rounded to the page size, anything above this means no limit
+const V1_NO_LIMIT = 2 ** 62
+
+// Names that show up in /proc/1/cgroup when running under the common container runtimes
+const CONTAINER_MARKERS = ['docker', 'containerd', 'kubepods', 'libpod', 'lxc']
+
+let detected = null
+
+//
+// Work out if we are in a container and which cgroup version is in use, the result is worked out once & cached
+// Returns { isContainer, isKube, cgroupVersion }, where cgroupVersion is 1, 2 or null when there are no cgroups
+//
+export function detectContainer() {
+  if (detected) return detected
+
+  const isKube = fs.existsSync('/var/run/secrets/kubernetes.io')
+  let isContainer = isKube || fs.existsSync('/.dockerenv') || fs.existsSync('/run/.containerenv')
+
+  // Fallback to looking at the cgroup of PID 1, this only works with cgroup v1 or when *NOT* in Kubernetes
+  if (!isContainer) {
+    const cgroup = readText('/proc/1/cgroup') ?? ''
+    isContainer = CONTAINER_MARKERS.some((marker) => cgroup.includes(marker))
+  }
+
+  let cgroupVersion = null
+  if (fs.existsSync(`${CGROUP_ROOT}/cgroup.controllers`)) {
+    cgroupVersion = 2
+  } else if (fs.existsSync(`${CGROUP_ROOT}/memory/memory.usage_in_bytes`)) {
+    cgroupVersion = 1
+  }
+
+  detected = { isContainer, isKube, cgroupVersion }
+  return detected
+}
+
+//
+// Memory used by the container & its limit in bytes, limit is null when there isn't one
+// Returns null when the cgroup files can't be read
+//
+export function readMemory() {
+  const { cgroupVersion } = detectContainer()
+
+  if (cgroupVersion === 2) {
+    const used = readNumber(`${CGROUP_ROOT}/memory.current`)
+    if (used === null) return null
+
+    // Holds 'max' when there is no limit
+    return { usedBytes: used, limitBytes: readNumber(`${CGROUP_ROOT}/memory.max`) }
+  }
+
+  if (cgroupVersion === 1) {
+    const used = readNumber(`${CGROUP_ROOT}/memory/memory.usage_in_bytes`)
+    if (used === null) return null
+
+    const limit = readNumber(`${CGROUP_ROOT}/memory/memory.limit_in_bytes`)
+    return { usedBytes: used, limitBytes: limit !== null && limit < V1_NO_LIMIT ? limit : null }
+  }
+
+  return null
+}
+
+//
+// Total CPU time used by everything in the container, in microseconds, or null when it can't be read
+// Take two readings and divide the difference by the elapsed time to get a usage
+//
+export function readCpuUsage() {
+  const { cgroupVersion } = detectContainer()
+
+  if (cgroupVersion === 2) {
+    const match = (readText(`${CGROUP_ROOT}/cpu.stat`) ?? '').match(/^usage_usec (\d+)$/m)
+    return match ? parseInt(match[1]) : null
+  }
+
+  if (cgroupVersion === 1) {
+    // Reported in nanoseconds, the controllers are often mounted together as cpu,cpuacct
+    const usage =
+      readNumber(`${CGROUP_ROOT}/cpuacct/cpuacct.usage`) ?? readNumber(`${CGROUP_ROOT}/cpu,cpuacct/cpuacct.usage`)
+    return usage === null ? null : Math.round(usage / 1000)
+  }
+
+  return null
+}
+
+//
+// How many CPUs we are allowed to use, from the container's CPU quota when it has one
+// Can be a fraction, e.g. 0.5 for a Kubernetes limit of 500m, otherwise it's the number of CPUs we can see
+//
+export function cpuLimit() {
+  const { cgroupVersion } = detectContainer()
+  const available = os.availableParallelism()
+
+  // Holds 'quota period' or 'max period' when there is no quota
+  if (cgroupVersion === 2) {
+    const [quota, period] = (readText(`${CGROUP_ROOT}/cpu.max`) ?? 'max').trim().split(/\s+/)
+    if (quota !== 'max' && parseInt(period) > 0) return Math.min(parseInt(quota) / parseInt(period), available)
+  }
+
+  // Quota is -1 when there isn't one
+  if (cgroupVersion === 1) {
+    const quota = readNumber(`${CGROUP_ROOT}/cpu/cpu.cfs_quota_us`)
+    const period = readNumber(`${CGROUP_ROOT}/cpu/cpu.cfs_period_us`)
+    if (quota > 0 && period > 0) return Math.min(quota / period, available)
+  }
+
+  return available
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8')
+    // eslint-disable-next-line
+  } catch (err) {
+    return null
+  }
+}
+
+// Anything that isn't a number, like 'max', comes back as null
+function readNumber(file) {
+  const value = parseInt(readText(file))
+  return isNaN(value) ? null : value
+}
@@ -0,0 +1,141 @@
+//
+// Monitoring history, keeps recent samples on the server so the monitor page doesn't start empty
+// Samples are kept at several resolutions, each in a fixed size ring buffer; the longer the range the coarser
+// the samples, with each coarse sample being the average of the samples it covers (maximums are kept as maximums
+// and counters, like the number of GCs, are added up)
+// ----------------------------------------------
+//
+
+import { SAMPLE_SECONDS, latestSample, subscribeSamples } from './sampler.mjs'
+
+// Every sample for the last 5 minutes, one a minute for the last hour & one every 15 minutes for the last day
+export const HISTORY_RANGES = {
+  '5m': { stepSeconds: SAMPLE_SECONDS, seconds: 5 * 60 },
+  '1h': { stepSeconds: 60, seconds: 60 * 60 },
+  '24h': { stepSeconds: 15 * 60, seconds: 24 * 60 * 60 },
+}
+
+// Sample fields that count what happened since the last sample, along with everything inside them
+const COUNTER_FIELDS = ['gc.count', 'gc.pauseMs', 'gc.byKind']
+
+//
+// Fixed size buffer, once full each new item replaces the oldest
+//
+export class RingBuffer {
+  constructor(size) {
+    this.items = new Array(size)
+    this.size = size
+    this.start = 0
+    this.length = 0
+  }
+
+  push(item) {
+    this.items[(this.start + this.length) % this.size] = item
+    if (this.length < this.size) {
+      this.length++
+    } else {
+      this.start = (this.start + 1) % this.size
+    }
+  }
+
+  // Oldest first
+  toArray() {
+    const out = []
+    for (let i = 0; i < this.length; i++) {
+      out.push(this.items[(this.start + i) % this.size])
+    }
+    return out
+  }
+}
+
+const tiers = Object.entries(HISTORY_RANGES).map(([range, { stepSeconds, seconds }]) => ({
+  range,
+  stepSeconds,
+  buffer: new RingBuffer(Math.ceil(seconds / stepSeconds)),
+  bucket: null,
+  pending: [],
+}))
+
+let unsubscribe = null
+
+//
+// Start keeping samples from the sampler, safe to call more than once
+//
+export function startHistory() {
+  if (unsubscribe) return
+  unsubscribe = subscribeSamples(addSample)
+
+  const latest = latestSample()
+  if (latest) addSample(latest)
+}
+
+//
+// Samples for one of the HISTORY_RANGES, oldest first, or null when the range isn't known
+// Returns { range, seconds, stepSeconds, samples }, where seconds is how far back the range goes
+//
+export function getHistory(range) {
+  const tier = tiers.find((tier) => tier.range === range)
+  if (!tier) return null
+
+  return {
+    range,
+    seconds: HISTORY_RANGES[range].seconds,
+    stepSeconds: tier.stepSeconds,
+    samples: tier.buffer.toArray(),
+  }
+}
+
+// The finest range keeps every sample, the others collect samples until a step is complete then keep their average
+function addSample(sample) {
+  const time = Date.parse(sample.timestamp)
+
+  for (const tier of tiers) {
+    if (tier.stepSeconds <= SAMPLE_SECONDS) {
+      tier.buffer.push(sample)
+      continue
+    }
+
+    const bucket = Math.floor(time / (tier.stepSeconds * 1000))
+    if (tier.bucket !== null && bucket !== tier.bucket && tier.pending.length > 0) {
+      const combined = combine(tier.pending, '')
+      combined.timestamp = new Date(tier.bucket * tier.stepSeconds * 1000).toISOString()
+      tier.buffer.push(combined)
+      tier.pending = []
+    }
+
+    tier.bucket = bucket
+    tier.pending.push(sample)
+  }
+}
+
+// Works through the sample field by field; numbers are averaged, or the largest kept when the name starts with max,
+// or added up when they are one of the COUNTER_FIELDS, path is the field's dotted path within the sample
+// Objects are combined field by field and anything else, like strings & booleans, takes the latest value
+function combine(values, path) {
+  const present = values.filter((value) => value !== null && value !== undefined)
+  if (present.length < 1) return null
+
+  const first = present[0]
+  if (typeof first === 'number') {
+    const total = present.reduce((sum, value) => sum + value, 0)
+    if (path.split('.').at(-1).startsWith('max')) return Math.max(...present)
+    if (COUNTER_FIELDS.some((field) => path === field || path.startsWith(`${field}.`))) {
+      return Math.round(total * 100) / 100
+    }
+    return Math.round((total / present.length) * 100) / 100
+  }
+
+  if (typeof first === 'object') {
+    const out = {}
+    const keys = new Set(present.flatMap((value) => Object.keys(value)))
+    for (const field of keys) {
+      out[field] = combine(
+        present.map((value) => value[field]),
+        path ? `${path}.${field}` : field,
+      )
+    }
+    return out
+  }
+
+  return present.at(-1)
+}
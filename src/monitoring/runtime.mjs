@@ -0,0 +1,106 @@
+//
+// Node.js runtime stats for the monitor page; event loop delay, garbage collection, heap spaces & active handles
+// Event loop & GC figures are collected between samples, so each sample covers the time since the one before
+// ----------------------------------------------
+//
+
+import v8 from 'v8'
+import { monitorEventLoopDelay, PerformanceObserver, constants } from 'perf_hooks'
+
+// Event loop delay is sampled this often, in milliseconds
+const LOOP_RESOLUTION = 10
+
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb',
+}
+
+let loopDelay = null
+let gc = newGcStats()
+
+//
+// Start watching the event loop & garbage collector, safe to call more than once
+//
+export function startRuntimeStats() {
+  if (loopDelay) return
+
+  loopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION })
+  loopDelay.enable()
+
+  const observer = new PerformanceObserver((list) => {
+    for (const entry of list.getEntries()) {
+      const kind = GC_KINDS[entry.detail?.kind] ?? 'other'
+      gc.count++
+      gc.pauseMs += entry.duration
+      gc.maxPauseMs = Math.max(gc.maxPauseMs, entry.duration)
+      gc.byKind[kind] = (gc.byKind[kind] ?? 0) + 1
+    }
+  })
+  observer.observe({ entryTypes: ['gc'] })
+}
+
+//
+// Stats since the last call, all times are in milliseconds and sizes in bytes
+// Returns { eventLoop, gc, heap, activeHandles }
+//
+export function takeRuntimeStats() {
+  const memory = process.memoryUsage()
+
+  const spaces = {}
+  for (const space of v8.getHeapSpaceStatistics()) {
+    spaces[space.space_name] = space.space_used_size
+  }
+
+  const byType = {}
+  const resources = process.getActiveResourcesInfo()
+  for (const type of resources) {
+    byType[type] = (byType[type] ?? 0) + 1
+  }
+
+  const stats = {
+    eventLoop: loopDelayStats(),
+    gc: { ...gc, pauseMs: round(gc.pauseMs), maxPauseMs: round(gc.maxPauseMs) },
+    heap: {
+      usedBytes: memory.heapUsed,
+      totalBytes: memory.heapTotal,
+      externalBytes: memory.external,
+      arrayBuffersBytes: memory.arrayBuffers,
+      spaces,
+    },
+    activeHandles: { total: resources.length, byType },
+  }
+
+  gc = newGcStats()
+  return stats
+}
+
+// The histogram is in nanoseconds, and is reset so the next sample starts afresh
+// It records how long each timer tick took, so the resolution is taken off to leave just the delay
+function loopDelayStats() {
+  if (!loopDelay || loopDelay.count === 0) {
+    return { min: 0, mean: 0, p50: 0, p90: 0, p99: 0, max: 0 }
+  }
+
+  const ms = (ns) => round(Math.max(ns / 1e6 - LOOP_RESOLUTION, 0))
+  const stats = {
+    min: ms(loopDelay.min),
+    mean: ms(loopDelay.mean),
+    p50: ms(loopDelay.percentile(50)),
+    p90: ms(loopDelay.percentile(90)),
+    p99: ms(loopDelay.percentile(99)),
+    max: ms(loopDelay.max),
+  }
+
+  loopDelay.reset()
+  return stats
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100
+}
+
+function newGcStats() {
+  return { count: 0, pauseMs: 0, maxPauseMs: 0, byKind: {} }
+}
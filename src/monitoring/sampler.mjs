@@ -0,0 +1,100 @@
+//
+// Background sampler for the monitor page, takes one sample of memory, CPU & Node.js runtime stats every few seconds
+// Samples are streamed to every open monitor page, so viewers share one sampler instead of each polling
+// ----------------------------------------------
+//
+
+import os from 'os'
+import { EventEmitter } from 'events'
+import { detectContainer, readMemory, readCpuUsage, cpuLimit } from './cgroup.mjs'
+import { startRuntimeStats, takeRuntimeStats } from './runtime.mjs'
+
+export const SAMPLE_SECONDS = parseInt(process.env.MONITOR_INTERVAL_SECONDS ?? '3') || 3
+
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0)
+
+let timer = null
+let latest = null
+let lastReading = null
+
+//
+// Start sampling, safe to call more than once. The first sample is taken straight away
+//
+export function startSampler() {
+  if (timer) return
+
+  startRuntimeStats()
+
+  // The first sample covers everything since the process started
+  lastReading = { at: Date.now() - process.uptime() * 1000, cpu: { user: 0, system: 0 }, container: null }
+  latest = takeSample()
+
+  timer = setInterval(() => {
+    latest = takeSample()
+    emitter.emit('sample', latest)
+  }, SAMPLE_SECONDS * 1000)
+
+  // Don't keep the process alive just for sampling
+  timer.unref()
+}
+
+//
+// The most recent sample, or null when the sampler hasn't been started
+//
+export function latestSample() {
+  return latest
+}
+
+//
+// Listen for new samples, returns a function to stop listening
+//
+export function subscribeSamples(listener) {
+  emitter.on('sample', listener)
+  return () => emitter.off('sample', listener)
+}
+
+// In a container the figures are for the container, using its cgroup memory & CPU limits
+function takeSample() {
+  const { isContainer, cgroupVersion } = detectContainer()
+  const sample = {
+    timestamp: new Date().toISOString(),
+    container: isContainer,
+    cgroupVersion,
+    memUsedBytes: 0,
+    memTotalBytes: 0,
+    memProcUsedBytes: process.memoryUsage().rss,
+    cpuLimit: cpuLimit(),
+    cpuAppPercentage: 0,
+    cpuContainerPercentage: null,
+  }
+
+  // MEMORY
+  // No limit set on the container, so fall back to using os.totalmem()
+  const memory = isContainer ? readMemory() : null
+  if (memory) {
+    sample.memUsedBytes = memory.usedBytes
+    sample.memTotalBytes = memory.limitBytes ?? os.totalmem()
+  } else {
+    sample.free = os.freemem()
+    sample.memUsedBytes = os.totalmem() - os.freemem()
+    sample.memTotalBytes = os.totalmem()
+  }
+
+  // CPU, user & system time since the last sample as a percentage of the CPUs we're allowed to use
+  // All the usage figures are in microseconds
+  const reading = { at: Date.now(), cpu: process.cpuUsage(), container: isContainer ? readCpuUsage() : null }
+  const available = (reading.at - lastReading.at) * 1000 * sample.cpuLimit
+
+  if (available > 0) {
+    const used = reading.cpu.user - lastReading.cpu.user + (reading.cpu.system - lastReading.cpu.system)
+    sample.cpuAppPercentage = (used / available) * 100
+
+    if (reading.container !== null && lastReading.container !== null) {
+      sample.cpuContainerPercentage = ((reading.container - lastReading.container) / available) * 100
+    }
+  }
+
+  lastReading = reading
+  return { ...sample, ...takeRuntimeStats() }
+}
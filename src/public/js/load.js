@@ -0,0 +1,94 @@
+/* eslint-disable no-unused-vars */
+
+//
+// Client side code used on the CPU load page, progress comes from the server as Server-Sent Events
+//
+
+const error = document.getElementById('error')
+const modeSelect = document.getElementById('mode')
+const durationInput = document.getElementById('durationSeconds')
+const startButton = document.getElementById('startButton')
+const cancelButton = document.getElementById('cancelButton')
+const progressBar = document.getElementById('progressBar')
+const loadStatus = document.getElementById('loadStatus')
+
+// Every open load page sees the same load, including ones started elsewhere
+const eventSource = new EventSource('/api/tools/load/events')
+eventSource.addEventListener('status', (e) => showStatus(JSON.parse(e.data)))
+
+// Block mode only uses one core flat out, and has a shorter limit as it freezes the server
+function modeChanged() {
+  const block = modeSelect.value === 'block'
+  for (const option of document.querySelectorAll('.worker-option')) {
+    option.classList.toggle('d-none', block)
+  }
+
+  document.getElementById('blockWarning').classList.toggle('d-none', !block)
+  durationInput.max = block ? durationInput.dataset.maxBlock : durationInput.dataset.maxWorkers
+}
+
+async function startLoad() {
+  const options = {
+    mode: modeSelect.value,
+    durationSeconds: Number(durationInput.value),
+    cores: Number(document.getElementById('cores').value),
+    utilisation: Number(document.getElementById('utilisation').value),
+  }
+
+  error.classList.remove('show')
+  startButton.disabled = true
+  if (options.mode === 'block') {
+    loadStatus.textContent = `Blocking the event loop for ${options.durationSeconds} seconds...`
+  }
+
+  try {
+    showStatus(await fetchJSON('/api/tools/load', { method: 'POST', body: JSON.stringify(options) }))
+  } catch (err) {
+    showError(err)
+  }
+}
+
+async function cancelLoad() {
+  cancelButton.disabled = true
+  try {
+    showStatus(await fetchJSON('/api/tools/load', { method: 'DELETE' }))
+  } catch (err) {
+    showError(err)
+  }
+}
+
+function showStatus(status) {
+  const running = status.status === 'running'
+  startButton.disabled = running
+  cancelButton.disabled = !running || status.mode === 'block'
+
+  progressBar.style.width = `${status.progress}%`
+  progressBar.textContent = `${status.progress}%`
+  progressBar.classList.toggle('progress-bar-striped', running)
+  progressBar.classList.toggle('progress-bar-animated', running)
+  progressBar.classList.toggle('bg-danger', status.status === 'failed')
+  progressBar.classList.toggle('bg-warning', status.status === 'cancelled')
+
+  const cores = status.mode === 'block' ? 'the main thread' : `${status.cores} cores at ${status.utilisation}%`
+  loadStatus.textContent =
+    `Load ${status.status} - ${status.elapsedSeconds} of ${status.durationSeconds} seconds on ${cores}, ` +
+    `${status.iterations.toLocaleString()} lots of really hard sums done` +
+    (status.error ? ` - ${status.error}` : '')
+}
+
+function showError(err) {
+  error.classList.add('show')
+  error.textContent = err
+  startButton.disabled = false
+}
+
+async function fetchJSON(url, options = {}) {
+  const resp = await fetch(url, { ...options, headers: { 'Content-Type': 'application/json' } })
+  const data = await resp.json().catch(() => ({}))
+  if (!resp.ok) {
+    const details = (data.errors ?? []).map((e) => `${e.field} ${e.message}`).join(', ')
+    throw `${data.error || resp.statusText}${details ? `: ${details}` : ''}`
+  }
+
+  return data
+}
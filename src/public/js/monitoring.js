@@ -2,9 +2,14 @@
 // Client side code used on Monitor.cshtml page
 //
 
-const DATA_INTERVAL = 3000
 const MIB = 2014 * 1024
-let memChart, cpuChart
+let memChart, cpuChart, loopChart, gcChart, heapChart, handlesChart
+
+// Range being shown, live samples are only added to the shortest range, the others are refreshed every minute
+const LIVE_RANGE = '5m'
+const REFRESH_INTERVAL = 60000
+let range = LIVE_RANGE
+let maxPoints = 100
 
 // START HERE - Called on window load by Monitor.cshtml
 // eslint-disable-next-line no-unused-vars
@@ -64,6 +69,15 @@ function startMonitoring() {
           borderWidth: 3,
           lineTension: 0,
         },
+        {
+          // Only filled in when running in a container, it's everything in the container not just the app
+          label: 'Container Load (%)',
+          data: [],
+          borderColor: 'rgba(255, 160, 0, 1.0)',
+          backgroundColor: 'rgba(255, 160, 0, 0.4)',
+          borderWidth: 3,
+          lineTension: 0,
+        },
       ],
     },
     options: {
@@ -79,17 +93,117 @@ function startMonitoring() {
     },
   })
 
-  // Initial data load
-  getData()
+  // Node.js runtime charts, one line per figure from the sample
+  loopChart = createLineChart('loopChart', [
+    ['Event Loop Delay p50 (ms)', '19, 185, 85'],
+    ['Event Loop Delay p99 (ms)', '255, 160, 0'],
+    ['Event Loop Delay Max (ms)', '220, 20, 20'],
+  ])
+  gcChart = createLineChart('gcChart', [
+    ['Garbage Collections', '0, 156, 220'],
+    ['GC Pause Total (ms)', '255, 160, 0'],
+    ['GC Pause Longest (ms)', '220, 20, 20'],
+  ])
+  heapChart = createLineChart('heapChart', [
+    ['New Space (MiBytes)', '0, 156, 220'],
+    ['Old Space (MiBytes)', '19, 185, 85'],
+    ['Code Space (MiBytes)', '155, 89, 182'],
+    ['Large Objects (MiBytes)', '255, 160, 0'],
+    ['External (MiBytes)', '220, 20, 20'],
+    ['Array Buffers (MiBytes)', '120, 120, 120'],
+  ])
+  handlesChart = createLineChart('handlesChart', [
+    ['Active Handles', '0, 156, 220'],
+    ['Timers', '19, 185, 85'],
+    ['Sockets', '255, 160, 0'],
+  ])
+
+  // Samples are pushed from the server as they are taken, the browser reconnects if the stream drops
+  const eventSource = new EventSource('/api/monitoringdata/events')
+  eventSource.addEventListener('sample', (e) => {
+    if (range === LIVE_RANGE) showSample(JSON.parse(e.data))
+  })
+
+  // Start with what the server has kept from before the page was opened
+  loadHistory()
+  setInterval(() => {
+    if (range !== LIVE_RANGE) loadHistory()
+  }, REFRESH_INTERVAL)
+}
+
+//
+// Called by the range picker, range is one of 5m, 1h or 24h
+//
+// eslint-disable-next-line no-unused-vars
+function setRange(newRange) {
+  range = newRange
+  loadHistory()
+}
+
+//
+// Replace everything on the charts with the history for the current range
+//
+async function loadHistory() {
+  try {
+    const response = await fetch(`/api/monitoringdata/history?range=${range}`)
+    if (!response.ok) {
+      throw Error(response.statusText + ' ' + response.status)
+    }
+    const history = await response.json()
+
+    const charts = [memChart, cpuChart, loopChart, gcChart, heapChart, handlesChart]
+    for (const chart of charts) {
+      chart.data.labels = []
+      chart.data.datasets.forEach((dataset) => (dataset.data = []))
+    }
+
+    // Room for the whole range, once full the oldest samples drop off as live samples come in
+    maxPoints = Math.ceil(history.seconds / history.stepSeconds)
+    for (const sample of history.samples) {
+      showSample(sample, false)
+    }
+    charts.forEach((chart) => chart.update())
+  } catch (err) {
+    console.log(err)
+  }
+}
 
-  // Then fetch data every 3 seconds
-  setInterval(getData, DATA_INTERVAL)
+//
+// Helper to create a line chart starting at zero, datasets are an array of [label, 'r, g, b']
+//
+function createLineChart(id, datasets) {
+  return new Chart(document.getElementById(id), {
+    type: 'line',
+    data: {
+      labels: [],
+      datasets: datasets.map(([label, rgb]) => ({
+        label,
+        data: [],
+        borderColor: `rgba(${rgb}, 1.0)`,
+        backgroundColor: `rgba(${rgb}, 0.4)`,
+        borderWidth: 3,
+        lineTension: 0,
+        fill: false,
+      })),
+    },
+    options: {
+      scales: {
+        yAxes: [
+          {
+            ticks: {
+              beginAtZero: true,
+            },
+          },
+        ],
+      },
+    },
+  })
 }
 
 //
-// Helper to dynamically add data to a chart
+// Helper to dynamically add data to a chart, pass update as false when adding lots of data at once
 //
-function addData(chart, label, data) {
+function addData(chart, label, data, update = true) {
   chart.data.labels.push(label)
   for (let ds = 0; ds < chart.data.datasets.length; ds++) {
     chart.data.datasets[ds].data.push(data[ds])
@@ -98,38 +212,53 @@ function addData(chart, label, data) {
   //   dataset.data.push(data);
   // });
 
-  // Limit the charts at 30 data points, otherwise it would just fill up
-  if (chart.data.datasets[0].data.length > 30) {
-    chart.data.datasets[0].data.shift()
+  // Limit the charts to the range being shown, otherwise it would just fill up
+  if (chart.data.labels.length > maxPoints) {
+    chart.data.datasets.forEach((dataset) => dataset.data.shift())
     chart.data.labels.shift()
   }
-  chart.update()
+  if (update) chart.update()
 }
 
 //
-// Call API to get data
+// Add a sample from the server to the charts
 //
-function getData() {
-  fetch('/api/monitoringdata')
-    .then((response) => {
-      // fetch handles errors strangely, we need to trap non-200 codes here
-      if (!response.ok) {
-        throw Error(response.statusText + ' ' + response.status)
-      }
-      return response.json()
-    })
-    .then((data) => {
-      const d = new Date()
-      const label = d.getHours() + ':' + d.getMinutes() + ':' + d.getSeconds()
-
-      // Set max on mem chart
-      memChart.options.scales.yAxes[0].ticks.max = data.memTotalBytes / MIB
-
-      // Add results to the two charts
-      addData(memChart, label, [data.memUsedBytes / MIB, data.memProcUsedBytes / MIB])
-      addData(cpuChart, label, [data.cpuAppPercentage])
-    })
-    .catch((err) => {
-      console.log(err)
-    })
+function showSample(data, update = true) {
+  const d = new Date(data.timestamp)
+  const label = d.getHours() + ':' + d.getMinutes() + ':' + d.getSeconds()
+
+  // Set max on mem chart
+  memChart.options.scales.yAxes[0].ticks.max = data.memTotalBytes / MIB
+
+  // Add results to the two charts
+  addData(memChart, label, [data.memUsedBytes / MIB, data.memProcUsedBytes / MIB], update)
+  addData(cpuChart, label, [data.cpuAppPercentage, data.cpuContainerPercentage], update)
+
+  const { eventLoop, gc, heap, activeHandles } = data
+  const spaces = heap.spaces
+  const largeObjects =
+    (spaces.large_object_space ?? 0) + (spaces.new_large_object_space ?? 0) + (spaces.code_large_object_space ?? 0)
+  const handles = activeHandles.byType
+
+  addData(loopChart, label, [eventLoop.p50, eventLoop.p99, eventLoop.max], update)
+  addData(gcChart, label, [gc.count, gc.pauseMs, gc.maxPauseMs], update)
+  addData(
+    heapChart,
+    label,
+    [
+      (spaces.new_space ?? 0) / MIB,
+      (spaces.old_space ?? 0) / MIB,
+      (spaces.code_space ?? 0) / MIB,
+      largeObjects / MIB,
+      heap.externalBytes / MIB,
+      heap.arrayBuffersBytes / MIB,
+    ],
+    update,
+  )
+  addData(
+    handlesChart,
+    label,
+    [activeHandles.total, handles.Timeout ?? 0, (handles.TCPSocketWrap ?? 0) + (handles.TCPServerWrap ?? 0)],
+    update,
+  )
 }
@@ -1,139 +1,532 @@
-/* eslint-disable no-unused-vars */
-
-// Global todo model
-let todos = []
-
-async function loadAllTodos() {
-  const resp = await fetch('/api/todo')
-  if (resp.ok) {
-    todos = await resp.json()
-    for (const todo of todos) {
-      addTodoToTable(todo)
-    }
-  }
-}
-
-function clickTodoDone(id) {
-  const todo = todos.find((t) => {
-    return t._id == id
-  })
-  todo.done = !todo.done
-  updateTodo(todo, (success) => {
-    const todoRow = document.getElementById(id)
-    const todoIcon = todoRow.querySelector('td > i')
-    todoIcon.className = 'todo-check far ' + (todo.done ? 'fa-check-square' : 'fa-square')
-
-    const todoTitle = todoRow.querySelector('td > .todo-title')
-    if (todo.done) {
-      todoTitle.classList.add('todo-done')
-      todoTitle.setAttribute('contenteditable', 'false')
-    } else {
-      todoTitle.classList.remove('todo-done')
-      todoTitle.setAttribute('contenteditable', 'true')
-    }
-  })
-}
-
-function clearForm() {
-  document.getElementById('newTitle').value = ''
-}
-
-function addNewTodo() {
-  const todo = {
-    title: document.getElementById('newTitle').value,
-    done: false,
-    type: document.getElementById('newType').value,
-  }
-
-  createTodo(todo)
-}
-
-function addTodoToTable(todo) {
-  const table = document.querySelector('#todo-table')
-  const row = document.createElement('tr')
-  row.id = `${todo._id}`
-
-  // prettier-ignore
-  row.innerHTML = `
-    <td>
-      <i class="todo-check far ${todo.done ? 'fa-check-square' : 'fa-square'}" onclick="clickTodoDone('${todo._id}')"></i>
-    </td>
-    <td>
-      <div contentEditable="${todo.done ? 'false' : 'true'}" onkeydown="keyFilter(event)" 
-        class="todo-title ${todo.done ? 'todo-done' : ''}" onfocusout="editTodo('${todo._id}', this)">
-        ${todo.title}
-      </div>
-    </td>
-    <td>${todo.type}</td>
-    <td><button class="btn btn-danger" onClick="deleteTodo('${todo._id}')"><i class="fa fa-trash fa-fw"></i></button></td>`
-
-  table.appendChild(row)
-}
-
-function deleteTodoFromTable(id) {
-  const e = document.getElementById(id)
-  e.remove()
-}
-
-function editTodo(id, e) {
-  const todo = todos.find((t) => {
-    return t._id == id
-  })
-  todo.title = e.innerHTML
-  updateTodo(todo, () => {})
-}
-
-async function deleteTodo(id) {
-  const resp = await fetch(`/api/todo/${id}`, {
-    method: 'DELETE',
-  })
-  if (resp.ok) {
-    deleteTodoFromTable(id)
-  }
-}
-
-async function createTodo(todo) {
-  const resp = await fetch('/api/todo', {
-    method: 'POST',
-    body: JSON.stringify(todo),
-    headers: { 'Content-Type': 'application/json' },
-  })
-  if (resp.ok) {
-    const data = await resp.json()
-    todo._id = data.newId
-    addTodoToTable(todo)
-    todos.push(todo)
-  }
-}
-
-async function updateTodo(todo, callback) {
-  const resp = await fetch(`/api/todo/${todo._id}`, {
-    method: 'PUT',
-    body: JSON.stringify(todo),
-    headers: { 'Content-Type': 'application/json' },
-  })
-  if (resp.ok) {
-    const data = await resp.json()
-    callback(data)
-  }
-}
-
-// This fixes the behavior of contentEditable with newlines creating divs
-function keyFilter(e) {
-  if (e.keyCode === 13) {
-    document.execCommand('insertHTML', false, '<br/><br/>')
-    e.preventDefault() // doesn't work without this
-    return false
-  }
-}
-
-function makeId(len) {
-  let text = ''
-  const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
-
-  for (let i = 0; i < len; i++) {
-    text += possible.charAt(Math.floor(Math.random() * possible.length))
-  }
-
-  return text
-}
+/* eslint-disable no-unused-vars */
+
+const PAGE_SIZE = 10
+
+// Global todo model, holds the current page only
+let todos = []
+let totalTodos = 0
+let offset = 0
+
+// Which list we're looking at, either 'mine' or 'shared', only used when signed in
+let currentList = 'mine'
+
+// When true the table shows the trash rather than the list
+let showingTrash = false
+
+// Build an API URL, adding the list parameter when using the shared list
+function apiUrl(path, params = new URLSearchParams()) {
+  if (currentList === 'shared') params.set('list', 'shared')
+  const query = params.toString()
+  return query ? `${path}?${query}` : path
+}
+
+// Fetch the current page of todos, using the filter & sort controls on the page
+async function loadTodos() {
+  const params = new URLSearchParams({ offset, limit: PAGE_SIZE })
+
+  const search = document.getElementById('filterSearch').value.trim()
+  if (search) params.set('search', search)
+
+  const done = document.getElementById('filterDone').value
+  if (done) params.set('done', done)
+
+  const type = document.getElementById('filterType').value
+  if (type) params.set('type', type)
+
+  const priority = document.getElementById('filterPriority').value
+  if (priority) params.set('priority', priority)
+
+  const [sort, order] = document.getElementById('sortBy').value.split(':')
+  if (sort) params.set('sort', sort)
+  if (order) params.set('order', order)
+
+  const resp = await fetch(apiUrl(showingTrash ? '/api/todo/trash' : '/api/todo', params))
+  if (!resp.ok) {
+    showError(resp)
+    return
+  }
+
+  const data = await resp.json()
+  todos = data.items
+  totalTodos = data.total
+
+  // Removing the last item on a page leaves it empty, so step back a page
+  if (todos.length === 0 && offset > 0) {
+    offset = Math.max(0, offset - PAGE_SIZE)
+    return loadTodos()
+  }
+
+  document.getElementById('todo-table').replaceChildren()
+  for (const todo of todos) {
+    addTodoToTable(todo)
+  }
+
+  updatePager()
+}
+
+function toggleTrash() {
+  showingTrash = !showingTrash
+  document.getElementById('trashButton').classList.toggle('active', showingTrash)
+  applyFilters()
+}
+
+function switchList(list) {
+  currentList = list
+  applyFilters()
+  watchTodos()
+}
+
+// Listen for changes made in other tabs or by other people, and apply them to the table
+let eventSource = null
+function watchTodos() {
+  if (eventSource) eventSource.close()
+  eventSource = new EventSource(apiUrl('/api/todo/events'))
+
+  // New todos could land anywhere depending on the sort, so just reload the page
+  eventSource.addEventListener('created', () => loadTodos())
+  eventSource.addEventListener('imported', () => loadTodos())
+  eventSource.addEventListener('batch', () => loadTodos())
+  eventSource.addEventListener('restored', () => loadTodos())
+
+  eventSource.addEventListener('reminder', (e) => {
+    const { todo } = JSON.parse(e.data)
+    showInfo(`⏰ Reminder: '${todo.title}' is due at ${new Date(todo.dueDate).toLocaleString()}`)
+    refreshOverdue()
+  })
+
+  eventSource.addEventListener('updated', (e) => {
+    const { todo } = JSON.parse(e.data)
+    const row = document.getElementById(todo._id)
+    if (!row) return
+
+    // Don't clobber a title while someone is editing it, saving it will show the conflict
+    if (row.contains(document.activeElement)) return
+
+    replaceTodo(todo)
+  })
+
+  eventSource.addEventListener('deleted', (e) => {
+    const { id } = JSON.parse(e.data)
+    if (showingTrash) return loadTodos()
+    if (!todos.some((t) => t._id == id)) return
+
+    deleteTodoFromTable(id)
+    loadTodos()
+  })
+}
+
+// Filters changed, so go back to the first page
+function applyFilters() {
+  offset = 0
+  loadTodos()
+}
+
+function changePage(direction) {
+  offset = Math.max(0, offset + direction * PAGE_SIZE)
+  loadTodos()
+}
+
+function updatePager() {
+  const first = totalTodos === 0 ? 0 : offset + 1
+  const last = offset + todos.length
+
+  document.getElementById('pageInfo').textContent = `${first} - ${last} of ${totalTodos}`
+  document.getElementById('pagePrev').disabled = offset === 0
+  document.getElementById('pageNext').disabled = last >= totalTodos
+}
+
+function clickTodoDone(id) {
+  const todo = todos.find((t) => {
+    return t._id == id
+  })
+  patchTodo(todo, { done: !todo.done })
+}
+
+// Swap in a newer copy of a todo, in the model and the table
+function replaceTodo(todo) {
+  const index = todos.findIndex((t) => t._id == todo._id)
+  if (index >= 0) todos[index] = todo
+
+  const row = document.getElementById(todo._id)
+  if (row) row.replaceWith(createTodoRow(todo))
+}
+
+function clearForm() {
+  document.getElementById('newTitle').value = ''
+  document.getElementById('newDueDate').value = ''
+  document.getElementById('newPriority').value = ''
+  document.getElementById('todo-error').classList.remove('show')
+}
+
+function addNewTodo() {
+  const todo = {
+    title: document.getElementById('newTitle').value,
+    done: false,
+    type: document.getElementById('newType').value,
+  }
+
+  // The date picker gives local time, the API wants a full ISO date in UTC
+  const dueDate = document.getElementById('newDueDate').value
+  if (dueDate) todo.dueDate = new Date(dueDate).toISOString()
+
+  const priority = document.getElementById('newPriority').value
+  if (priority) todo.priority = priority
+
+  createTodo(todo)
+}
+
+function addTodoToTable(todo) {
+  const table = document.querySelector('#todo-table')
+  table.appendChild(createTodoRow(todo))
+}
+
+// Build the row with DOM APIs & textContent, never innerHTML, so todo values can't inject markup
+function createTodoRow(todo) {
+  const row = document.createElement('tr')
+  row.id = `${todo._id}`
+  if (isOverdue(todo)) row.classList.add('todo-overdue')
+
+  const checkCell = document.createElement('td')
+  const checkIcon = document.createElement('i')
+  checkIcon.className = 'todo-check far ' + (todo.done ? 'fa-check-square' : 'fa-square')
+  checkCell.appendChild(checkIcon)
+
+  const titleCell = document.createElement('td')
+  const title = document.createElement('div')
+  title.className = 'todo-title' + (todo.done ? ' todo-done' : '')
+  title.textContent = todo.title
+  titleCell.appendChild(title)
+
+  // Todos in the trash can't be changed, only restored
+  if (!todo.deletedAt) {
+    checkIcon.addEventListener('click', () => clickTodoDone(todo._id))
+    title.setAttribute('contenteditable', todo.done ? 'false' : 'true')
+    title.addEventListener('keydown', keyFilter)
+    title.addEventListener('focusout', () => editTodo(todo._id, title))
+  }
+
+  const typeCell = document.createElement('td')
+  typeCell.textContent = todo.type
+
+  const priorityCell = document.createElement('td')
+  if (todo.priority) {
+    const badge = document.createElement('span')
+    badge.className = `badge todo-priority-${todo.priority}`
+    badge.textContent = todo.priority
+    priorityCell.appendChild(badge)
+  }
+
+  const dueCell = document.createElement('td')
+  dueCell.className = 'todo-due'
+  if (todo.dueDate) dueCell.textContent = new Date(todo.dueDate).toLocaleString()
+
+  const deleteCell = document.createElement('td')
+  const deleteButton = document.createElement('button')
+  if (todo.deletedAt) {
+    deleteButton.className = 'btn btn-success'
+    deleteButton.title = 'Restore'
+    deleteButton.innerHTML = '<i class="fa fa-trash-restore fa-fw"></i>'
+    deleteButton.addEventListener('click', () => restoreTodo(todo._id))
+  } else {
+    deleteButton.className = 'btn btn-danger'
+    deleteButton.innerHTML = '<i class="fa fa-trash fa-fw"></i>'
+    deleteButton.addEventListener('click', () => deleteTodo(todo._id))
+  }
+  deleteCell.appendChild(deleteButton)
+
+  row.append(checkCell, titleCell, typeCell, priorityCell, dueCell, deleteCell)
+  return row
+}
+
+function isOverdue(todo) {
+  return !todo.done && todo.dueDate && new Date(todo.dueDate) < new Date()
+}
+
+// Todos become overdue while the page is open, so check every so often
+function refreshOverdue() {
+  for (const todo of todos) {
+    const row = document.getElementById(todo._id)
+    if (row) row.classList.toggle('todo-overdue', !!isOverdue(todo))
+  }
+}
+setInterval(refreshOverdue, 30000)
+
+function showInfo(message) {
+  const info = document.getElementById('todo-info')
+  info.querySelector('span').textContent = message
+  info.classList.remove('d-none')
+}
+
+function formatFieldError(e) {
+  return e.field ? `${e.field} ${e.message}` : e.message
+}
+
+// Show errors from the API, including each field that failed validation
+async function showError(resp) {
+  const error = document.getElementById('todo-error')
+  let message = `${resp.status} ${resp.statusText}`
+
+  try {
+    const data = await resp.json()
+    if (data.errors) {
+      message = data.errors.map(formatFieldError).join(', ')
+    }
+  } catch (err) {
+    // Not JSON, stick with the status text
+  }
+
+  error.textContent = `Error: ${message}`
+  error.classList.add('show')
+}
+
+function deleteTodoFromTable(id) {
+  const e = document.getElementById(id)
+  if (e) e.remove()
+}
+
+function editTodo(id, e) {
+  const todo = todos.find((t) => {
+    return t._id == id
+  })
+  const title = e.innerText.trim()
+  if (title === todo.title) {
+    return
+  }
+
+  patchTodo(todo, { title })
+}
+
+async function deleteTodo(id) {
+  const resp = await fetch(apiUrl(`/api/todo/${id}`), {
+    method: 'DELETE',
+  })
+  if (resp.ok) {
+    const todo = todos.find((t) => t._id == id)
+    deleteTodoFromTable(id)
+    loadTodos()
+    showUndo(todo)
+  } else {
+    showError(resp)
+  }
+}
+
+// Deleted todos go to the trash, so offer to bring it straight back for a little while
+let undoTimer = null
+function showUndo(todo) {
+  const undo = document.getElementById('todo-undo')
+  undo.querySelector('span').textContent = `Deleted '${todo.title}'`
+  undo.querySelector('button').onclick = () => {
+    hideUndo()
+    restoreTodo(todo._id)
+  }
+  undo.classList.remove('d-none')
+
+  clearTimeout(undoTimer)
+  undoTimer = setTimeout(hideUndo, 10000)
+}
+
+function hideUndo() {
+  document.getElementById('todo-undo').classList.add('d-none')
+}
+
+async function restoreTodo(id) {
+  const resp = await fetch(apiUrl(`/api/todo/${id}/restore`), {
+    method: 'POST',
+  })
+  if (resp.ok) {
+    loadTodos()
+  } else {
+    showError(resp)
+  }
+}
+
+async function createTodo(todo) {
+  const resp = await fetch(apiUrl('/api/todo'), {
+    method: 'POST',
+    body: JSON.stringify(todo),
+    headers: { 'Content-Type': 'application/json' },
+  })
+  if (resp.ok) {
+    loadTodos()
+  } else {
+    showError(resp)
+  }
+}
+
+// Send just the changed fields, If-Match makes sure we don't overwrite changes made by someone else
+async function patchTodo(todo, changes) {
+  const resp = await fetch(apiUrl(`/api/todo/${todo._id}`), {
+    method: 'PATCH',
+    body: JSON.stringify(changes),
+    headers: { 'Content-Type': 'application/merge-patch+json', 'If-Match': `"${todo.version ?? 0}"` },
+  })
+
+  if (resp.ok) {
+    replaceTodo(await resp.json())
+  } else if (resp.status === 412) {
+    const data = await resp.json()
+    showConflict(changes, data.current)
+  } else {
+    showError(resp)
+  }
+}
+
+// Someone else changed the todo first, let the user pick which version to keep
+let conflict = null
+function showConflict(changes, current) {
+  conflict = { changes, current }
+
+  const mine = Object.entries(changes)
+    .map(([field, value]) => `${field}: '${value}'`)
+    .join(', ')
+
+  const alert = document.getElementById('todo-conflict')
+  alert.querySelector('span').textContent =
+    `'${current.title}' was changed by someone else before your change was saved. Your change was ${mine}`
+  alert.classList.remove('d-none')
+
+  // Show their version for now, so the table matches what's saved
+  replaceTodo(current)
+}
+
+function resolveConflict(keepMine) {
+  document.getElementById('todo-conflict').classList.add('d-none')
+  if (!conflict) return
+
+  if (keepMine) {
+    patchTodo(conflict.current, conflict.changes)
+  }
+  conflict = null
+}
+
+// Fetch every todo on the list matching the params, a page at a time
+async function fetchAllTodos(params) {
+  const all = []
+  for (let offset = 0; ; offset += 100) {
+    params.set('offset', offset)
+    params.set('limit', 100)
+
+    const resp = await fetch(apiUrl('/api/todo', params))
+    if (!resp.ok) throw resp
+
+    const data = await resp.json()
+    all.push(...data.items)
+    if (data.items.length === 0 || all.length >= data.total) return all
+  }
+}
+
+// Send a batch of operations as all-or-nothing, versions make sure we only change todos as we last saw them
+// Not every store can do transactions (501), then each operation is sent on its own & some may fail
+async function runBatch(operations, atomic = true) {
+  const resp = await fetch(apiUrl('/api/todo/batch'), {
+    method: 'POST',
+    body: JSON.stringify({ atomic, operations }),
+    headers: { 'Content-Type': 'application/json' },
+  })
+
+  if (resp.status === 501 && atomic) {
+    return runBatch(operations, false)
+  }
+
+  if (resp.ok && !atomic) {
+    const data = await resp.json()
+    const failed = data.results.filter((r) => r.status !== 200)
+    if (failed.length > 0) {
+      const error = document.getElementById('todo-error')
+      error.textContent = `Error: ${failed.length} of ${operations.length} changes failed, ${failed[0].error}`
+      error.classList.add('show')
+    }
+  } else if (resp.status === 409) {
+    const data = await resp.json()
+    const failed = data.results.find((r) => r.status !== 424)
+    const error = document.getElementById('todo-error')
+    error.textContent = `Error: ${data.error}, ${failed.error}. Please try again`
+    error.classList.add('show')
+  } else if (!resp.ok) {
+    showError(resp)
+  }
+
+  loadTodos()
+}
+
+async function clearCompleted() {
+  try {
+    const done = await fetchAllTodos(new URLSearchParams({ done: 'true' }))
+    if (done.length === 0) return showInfo('There are no completed todos to clear')
+    if (!confirm(`Delete ${done.length} completed todos?`)) return
+
+    await runBatch(done.map((todo) => ({ op: 'delete', id: todo._id, version: todo.version ?? 0 })))
+  } catch (resp) {
+    showError(resp)
+  }
+}
+
+async function markAllDone() {
+  try {
+    const notDone = await fetchAllTodos(new URLSearchParams({ done: 'false' }))
+    if (notDone.length === 0) return showInfo('Everything is already done')
+
+    await runBatch(
+      notDone.map((todo) => ({ op: 'update', id: todo._id, changes: { done: true }, version: todo.version ?? 0 })),
+    )
+  } catch (resp) {
+    showError(resp)
+  }
+}
+
+// Download the list as a file, the API sets the filename
+function exportTodos(format) {
+  window.location.href = apiUrl(`/api/todo/export/${format}`)
+}
+
+// Upload a file picked by the user, the format comes from the file extension
+async function importTodos(input) {
+  const file = input.files[0]
+  input.value = ''
+  if (!file) return
+
+  const format = file.name.split('.').pop().toLowerCase()
+  const resp = await fetch(apiUrl(`/api/todo/import/${format}`), {
+    method: 'POST',
+    body: await file.text(),
+    headers: { 'Content-Type': 'text/plain' },
+  })
+
+  if (!resp.ok) {
+    const data = await resp.json().catch(() => ({}))
+    const error = document.getElementById('todo-error')
+    error.textContent = `Import failed: ${data.error || resp.statusText}`
+    error.classList.add('show')
+    return
+  }
+
+  const data = await resp.json()
+  let message = `Imported ${data.imported} todos from ${file.name}.`
+  if (data.rejected.length > 0) {
+    const reasons = data.rejected.map((r) => `row ${r.row}: ${r.errors.map(formatFieldError).join(', ')}`)
+    message += ` ${data.rejected.length} rejected; ${reasons.join('; ')}`
+  }
+
+  showInfo(message)
+  loadTodos()
+}
+
+// This fixes the behavior of contentEditable with newlines creating divs
+function keyFilter(e) {
+  if (e.keyCode === 13) {
+    document.execCommand('insertText', false, '\n')
+    e.preventDefault() // doesn't work without this
+    return false
+  }
+}
+
+function makeId(len) {
+  let text = ''
+  const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+
+  for (let i = 0; i < len; i++) {
+    text += possible.charAt(Math.floor(Math.random() * possible.length))
+  }
+
+  return text
+}
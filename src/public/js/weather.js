@@ -1,7 +1,24 @@
+/* eslint-disable no-unused-vars */
+
 const error = document.getElementById('error')
 const weatherIcon = document.getElementById('weatherIcon')
 const locationSpan = document.getElementById('location')
 const weatherList = document.getElementById('weather-list')
+const forecastTable = document.getElementById('forecast-table')
+const historyEmpty = document.getElementById('historyEmpty')
+
+// Labels for each kind of units, matching what the API returns
+const UNIT_LABELS = {
+  metric: { temperature: '°C', speed: 'm/s', precipitation: 'mm' },
+  imperial: { temperature: '°F', speed: 'mph', precipitation: 'in' },
+}
+
+// Remember the user's choice of units between visits
+let units = localStorage.getItem('weatherUnits') || 'metric'
+let forecastMode = 'daily'
+let position = null
+let historyChart = null
+document.getElementById(units === 'imperial' ? 'unitsImperial' : 'unitsMetric').checked = true
 
 // Try to geolocate the user and call getWeather with result
 if (navigator.geolocation) {
@@ -14,7 +31,7 @@ if (navigator.geolocation) {
       errMessage = 'getCurrentPosition API only works on secure (HTTPS) domains'
     }
     error.classList.add('show')
-    error.textContent = errMessage + '. Will fall back to showing weather for London'
+    error.textContent = errMessage + '. Will fall back to showing weather for London, or search for a place'
 
     getWeather({ coords: { latitude: 51.40329, longitude: 0.05619 } })
   })
@@ -27,31 +44,205 @@ if (navigator.geolocation) {
   console.err('Geolocation is not supported by this browser.')
 }
 
+function setUnits(newUnits) {
+  units = newUnits
+  localStorage.setItem('weatherUnits', units)
+  if (position) getWeather(position)
+}
+
+function setForecastMode(mode) {
+  forecastMode = mode
+  if (position) getForecast(position)
+}
+
 // Call our weather API with the given position
 async function getWeather(pos) {
+  position = pos
   const lat = pos.coords.latitude
   const long = pos.coords.longitude
+  const labels = UNIT_LABELS[units]
   try {
-    const resp = await fetch(`/api/weather/${lat}/${long}`)
-    if (!resp.ok) throw `Fetch /api/weather/${lat}/${long} failed with ${resp.statusText}`
-    const data = await resp.json()
-
-    weatherIcon.classList.add(`owi-${data.weather[0].icon}`)
-    locationSpan.textContent = ` - ${data.name}`
-    addWeatherDetails(`The weather currently is: &nbsp; ${data.weather[0].description}`)
-    addWeatherDetails(`Current temperature: &nbsp; ${data.main.temp}°C`)
-    addWeatherDetails(`Temperature feels like: &nbsp; ${data.main.feels_like}°C`)
-    addWeatherDetails(`Cloud cover: &nbsp; ${data.clouds.all}%`)
-    addWeatherDetails(`Volume of rain in last hour: &nbsp; ${data.rain ? data.rain['1h'] : 0}mm`)
-    addWeatherDetails(`Wind speed: &nbsp; ${(data.wind.speed * 2.24).toFixed(1)} mph`)
+    const data = await fetchJSON(`/api/weather/${lat}/${long}?units=${units}`)
+
+    weatherIcon.className = `owi owi-${data.conditions.icon}`
+    locationSpan.textContent = ` - ${data.location.name}`
+    weatherList.replaceChildren()
+    addWeatherDetails('The weather currently is', data.conditions.description)
+    addWeatherDetails('Current temperature', `${data.temperature.current}${labels.temperature}`)
+    addWeatherDetails('Temperature feels like', `${data.temperature.feelsLike}${labels.temperature}`)
+    addWeatherDetails('Cloud cover', `${data.conditions.cloudCover}%`)
+    addWeatherDetails('Precipitation in last hour', `${data.precipitation.lastHour}${labels.precipitation}`)
+    addWeatherDetails('Wind speed', `${data.wind.speed.toFixed(1)} ${labels.speed}`)
   } catch (err) {
     error.classList.add('show')
     error.textContent = err
   }
+
+  getForecast(pos)
+  getHistory(pos)
+}
+
+// Fill the forecast table, a row per day or per period depending on the mode
+async function getForecast(pos) {
+  const lat = pos.coords.latitude
+  const long = pos.coords.longitude
+  const labels = UNIT_LABELS[units]
+  try {
+    const data = await fetchJSON(`/api/weather/${lat}/${long}/forecast?units=${units}&mode=${forecastMode}`)
+
+    const rows = data.periods.map((period) => {
+      const when = period.date
+        ? new Date(`${period.date}T12:00:00`).toLocaleDateString(undefined, {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'short',
+          })
+        : new Date(period.time).toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+      const temp = period.date
+        ? `${Math.round(period.tempMin)} - ${Math.round(period.tempMax)}${labels.temperature}`
+        : `${Math.round(period.temp)}${labels.temperature}`
+
+      return createForecastRow([
+        when,
+        icon(period.icon),
+        period.description,
+        temp,
+        `${period.precipitation}${labels.precipitation} (${period.chanceOfPrecipitation}%)`,
+        `${period.windSpeed.toFixed(1)} ${labels.speed}`,
+      ])
+    })
+
+    forecastTable.replaceChildren(...rows)
+  } catch (err) {
+    error.classList.add('show')
+    error.textContent = err
+  }
+}
+
+// Chart the temperature over the last day, using the same Chart.js setup as the monitor page
+async function getHistory(pos) {
+  const lat = pos.coords.latitude
+  const long = pos.coords.longitude
+  const labels = UNIT_LABELS[units]
+  try {
+    const data = await fetchJSON(`/api/weather/${lat}/${long}/history?units=${units}&hours=24`)
+
+    /* global Chart:false */
+    if (!historyChart) {
+      historyChart = new Chart(document.getElementById('historyChart'), {
+        type: 'line',
+        data: {
+          labels: [],
+          datasets: [
+            {
+              label: 'Temperature',
+              borderColor: 'rgba(220, 20, 20, 1.0)',
+              backgroundColor: 'rgba(220, 20, 20, 0.4)',
+              fill: false,
+              data: [],
+            },
+            {
+              label: 'Feels Like',
+              borderColor: 'rgba(0, 156, 220, 1.0)',
+              backgroundColor: 'rgba(0, 156, 220, 0.4)',
+              fill: false,
+              data: [],
+            },
+          ],
+        },
+        options: {
+          elements: {
+            line: {
+              borderWidth: 3,
+              tension: 0,
+            },
+          },
+        },
+      })
+    }
+
+    const observations = data.observations
+    historyChart.data.labels = observations.map((obs) =>
+      new Date(obs.observedAt).toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' }),
+    )
+    historyChart.data.datasets[0].label = `Temperature (${labels.temperature})`
+    historyChart.data.datasets[0].data = observations.map((obs) => obs.temperature)
+    historyChart.data.datasets[1].label = `Feels Like (${labels.temperature})`
+    historyChart.data.datasets[1].data = observations.map((obs) => obs.feelsLike)
+    historyChart.update()
+
+    historyEmpty.classList.toggle('d-none', observations.length > 0)
+  } catch (err) {
+    // History can be turned off, the rest of the page still works without it
+    console.log(err)
+  }
+}
+
+function icon(name) {
+  const i = document.createElement('i')
+  i.className = `owi owi-${name}`
+  return i
+}
+
+// Cells are text or elements, always added with textContent or as nodes so nothing is parsed as HTML
+function createForecastRow(cells) {
+  const row = document.createElement('tr')
+  for (const cell of cells) {
+    const td = document.createElement('td')
+    if (typeof cell === 'string') {
+      td.textContent = cell
+    } else {
+      td.appendChild(cell)
+    }
+    row.appendChild(td)
+  }
+  return row
+}
+
+// Search for places as the user types, waiting for a pause in typing so we don't search on every key
+let searchTimer = null
+function findPlaces() {
+  clearTimeout(searchTimer)
+  searchTimer = setTimeout(async () => {
+    const query = document.getElementById('placeSearch').value.trim()
+    const results = document.getElementById('placeResults')
+    if (!query) return results.replaceChildren()
+
+    try {
+      const data = await fetchJSON(`/api/weather/places?q=${encodeURIComponent(query)}`)
+      results.replaceChildren(...data.places.map(createPlaceItem))
+    } catch (err) {
+      error.classList.add('show')
+      error.textContent = err
+    }
+  }, 300)
+}
+
+function createPlaceItem(place) {
+  const item = document.createElement('button')
+  item.type = 'button'
+  item.className = 'list-group-item list-group-item-action'
+  item.textContent = `${place.name}, ${place.country}`
+  item.addEventListener('click', () => {
+    document.getElementById('placeResults').replaceChildren()
+    document.getElementById('placeSearch').value = ''
+    error.classList.remove('show')
+    getWeather({ coords: { latitude: place.lat, longitude: place.long } })
+  })
+  return item
+}
+
+// Fetch from our API, errors come back as JSON with an error message
+async function fetchJSON(url) {
+  const resp = await fetch(url)
+  const data = await resp.json().catch(() => ({}))
+  if (!resp.ok) throw `Fetch ${url} failed: ${data.error || resp.statusText}`
+
+  return data
 }
 
-function addWeatherDetails(details) {
+function addWeatherDetails(label, value) {
   const li = document.createElement('li')
-  li.innerHTML = details
+  li.textContent = `${label}: \u00a0 ${value}`
   weatherList.appendChild(li)
 }
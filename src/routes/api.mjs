@@ -6,95 +6,52 @@
 
 import express from 'express'
 const router = express.Router()
-import os from 'os'
-import fs from 'fs'
-import axios from 'axios'
-import appInsights from 'applicationinsights'
+import { getDependencyStatus } from '../http/client.mjs'
+import { openEventStream } from '../http/sse.mjs'
+import { startSampler, latestSample, subscribeSamples } from '../monitoring/sampler.mjs'
+import { startHistory, getHistory, HISTORY_RANGES } from '../monitoring/history.mjs'
+
+startSampler()
+startHistory()
 
 // =======================================================================
-// Get weather data as JSON
+// API for live monitoring (CPU and memory) data, returns the latest sample
+// In a container the figures are for the container, see monitoring/sampler.mjs
 // =======================================================================
-router.get('/api/weather/:lat/:long', async function (req, res, next) {
-  const WEATHER_API_KEY = process.env.WEATHER_API_KEY || '123456'
-  const long = req.params.long
-  const lat = req.params.lat
-
-  try {
-    // Call external OpenWeather API
-    const weatherResp = await axios.get(
-      `https://api.openweathermap.org/data/2.5/weather?units=metric&lat=${lat}&lon=${long}&appid=${WEATHER_API_KEY}`,
-    )
-
-    if (weatherResp.data) {
-      // Send custom metric over to App Insights - 'weatherTemp' with the temperature
-      if (appInsights.defaultClient && weatherResp.data.main) {
-        console.log(`----- ${weatherResp.data.main.temp}`)
-        appInsights.defaultClient.trackMetric({
-          name: 'weatherTemp',
-          value: weatherResp.data.main.temp,
-          // Extra meta data
-          properties: { city: weatherResp.data.name, country: weatherResp.data.sys.country },
-        })
-      }
+router.get('/api/monitoringdata', function (req, res, next) {
+  res.status(200).send(latestSample())
+})
 
-      // Proxy the OpenWeather response through to the caller
-      res.status(200).send(weatherResp.data)
-    } else {
-      throw new Error(`Current weather not available for: ${long},${lat}`)
-    }
-  } catch (e) {
-    return res.status(500).send(`API error fetching weather: ${e.toString()}`)
-  }
+// =======================================================================
+// Stream of live monitoring data, using Server-Sent Events
+// Every open monitor page shares the one sampler, starting with the latest sample
+// =======================================================================
+router.get('/api/monitoringdata/events', function (req, res, next) {
+  openEventStream(req, res, (send) => {
+    send('sample', latestSample())
+    return subscribeSamples((sample) => send('sample', sample))
+  })
 })
 
 // =======================================================================
-// API for live monitoring (CPU and memory) data
+// Monitoring data from before the page was opened, range is 5m (the default), 1h or 24h
+// Longer ranges have fewer samples, each the average of the samples it covers, except counters like gc.count
+// which are the total for the time it covers, and maximums which are the largest
 // =======================================================================
-router.get('/api/monitoringdata', async function (req, res, next) {
-  const data = {
-    container: false,
-    memUsedBytes: 0,
-    memTotalBytes: 0,
-    memAppUsedBytes: 0,
-    cpuAppPercentage: 0,
+router.get('/api/monitoringdata/history', function (req, res, next) {
+  const history = getHistory(req.query.range ?? '5m')
+  if (!history) {
+    return res.status(400).send({ error: `Invalid range, must be one of: ${Object.keys(HISTORY_RANGES).join(', ')}` })
   }
 
-  // Gather monitoring data
-  try {
-    // MEMORY
-    if (fs.existsSync('/.dockerenv')) {
-      data.container = true
-
-      // Read cgroup container memory info
-      data.memUsedBytes = parseInt(fs.readFileSync('/sys/fs/cgroup/memory/memory.usage_in_bytes', 'utf8'))
-      data.memTotalBytes = parseInt(fs.readFileSync('/sys/fs/cgroup/memory/memory.limit_in_bytes', 'utf8'))
-
-      // limit_in_bytes might not be set, in which case it contains some HUGE number
-      // Fall back to using os.totalmem()
-      if (data.memTotalBytes > 90000000000000) {
-        data.memTotalBytes = os.totalmem()
-      }
-    } else {
-      data.free = os.freemem()
-      data.memUsedBytes = os.totalmem() - os.freemem()
-      data.memTotalBytes = os.totalmem()
-    }
-    data.memProcUsedBytes = process.memoryUsage().rss
-
-    // CPU
-    const startUsage = process.cpuUsage()
-    const D_TIME = 1000
-    // pause
-    const timeout = (ms) => new Promise((res) => setTimeout(res, ms))
-    await timeout(D_TIME)
-    // Get results/delta
-    const cpuResult = process.cpuUsage(startUsage)
-    data.cpuAppPercentage = (cpuResult.user / 1000 / D_TIME) * 100
+  res.status(200).send(history)
+})
 
-    return res.status(200).send(data)
-  } catch (e) {
-    return res.status(500).send({ error: true, title: 'Monitoring API error', message: e.toString() })
-  }
+// =======================================================================
+// API for the status of outbound dependencies & their circuit breakers
+// =======================================================================
+router.get('/api/dependencies', function (req, res, next) {
+  res.status(200).send({ dependencies: getDependencyStatus() })
 })
 
 export default router
@@ -8,8 +8,10 @@ import express from 'express'
 const router = express.Router()
 import * as msal from '@azure/msal-node'
 import appInsights from 'applicationinsights'
+import promClient from 'prom-client'
 
 import { getUserDetails, getUserPhoto } from '../graph.mjs'
+import { createLogger } from '../logging/logger.mjs'
 
 // For reasons we need to do this here as well
 import { config as dotenvConfig } from 'dotenv'
@@ -19,7 +21,21 @@ const AUTH_SCOPES = ['user.read']
 const AUTH_ENDPOINT = 'https://login.microsoftonline.com/common'
 const AUTH_CALLBACK_PATH = 'signin'
 
+// MSAL's log levels as ours, anything more detailed than info is debug
+const MSAL_LOG_LEVELS = {
+  [msal.LogLevel.Error]: 'error',
+  [msal.LogLevel.Warning]: 'warn',
+  [msal.LogLevel.Info]: 'info',
+}
+
 let msalApp
+const log = createLogger('auth')
+
+const loginCounter = new promClient.Counter({
+  name: 'auth_logins_total',
+  help: 'Sign in attempts, by outcome; success or failure',
+  labelNames: ['outcome'],
+})
 
 // Add session secret from environment variables
 const SESSION_SECRET = process.env.SESSION_SECRET || '1234567890QWERTY'
@@ -36,7 +52,9 @@ if (process.env.ENTRA_APP_ID) {
     system: {
       loggerOptions: {
         loggerCallback(level, msg) {
-          if (!msg.includes('redirect?code=')) console.log('### 🕵️‍♀️ MSAL: ', msg)
+          // These have the auth code in the URL, so are never logged
+          if (msg.includes('redirect?code=')) return
+          log[MSAL_LOG_LEVELS[level] ?? 'debug'](`🕵️‍♀️ MSAL: ${msg}`)
         },
         piiLoggingEnabled: false,
         logLevel: msal.LogLevel.Warning,
@@ -44,12 +62,16 @@ if (process.env.ENTRA_APP_ID) {
     },
   })
 
-  console.log(`### 🔐 MSAL configured using client ID: ${process.env.ENTRA_APP_ID}`)
+  log.info(`🔐 MSAL configured using client ID: ${process.env.ENTRA_APP_ID}`)
 }
 
 // Add middleware to check authentication status
+// API calls get a 401 rather than a redirect to the login page
 const ensureAuthenticated = (req, res, next) => {
   if (!req.session?.user?.account) {
+    if (req.originalUrl.startsWith('/api/')) {
+      return res.status(401).send({ error: 'Not signed in' })
+    }
     return res.redirect('/login')
   }
   next()
@@ -61,7 +83,7 @@ const ensureAuthenticated = (req, res, next) => {
 
 // This login route will redirect to Azure AD start the PKCE auth flow
 router.get('/login', async (req, res) => {
-  console.log('### 🔐 MSAL login, start PKCE flow...')
+  log.info('🔐 MSAL login, start PKCE flow...')
   const host = req.get('host')
   const redirectUri = process.env.AUTH_REDIRECT_URI
 
@@ -97,6 +119,7 @@ router.get('/login', async (req, res) => {
     // Redirect user to auth code url to sign in
     res.redirect(authCodeUrl)
   } catch (err) {
+    loginCounter.inc({ outcome: 'failure' })
     res.render('error', {
       title: 'PKCE redirect error',
       message: err,
@@ -110,7 +133,7 @@ router.get('/login', async (req, res) => {
 // This route is called by Azure AD after the user has logged in
 // It will exchange the auth code for an access token
 router.get(`/${AUTH_CALLBACK_PATH}`, async (req, res) => {
-  console.log('### 🔐 MSAL login, code received...');
+  log.info('🔐 MSAL login, code received...');
   
   const host = req.get('host')
   const redirectUri = process.env.AUTH_REDIRECT_URI
@@ -126,9 +149,9 @@ router.get(`/${AUTH_CALLBACK_PATH}`, async (req, res) => {
 
   try {
     const tokenResponse = await msalApp.acquireTokenByCode(tokenRequest);
-    console.log('Token response:', {
-      account: tokenResponse.account,
-      hasToken: !!tokenResponse.accessToken
+    log.debug('Token response', {
+      username: tokenResponse.account?.username,
+      gotAccessToken: !!tokenResponse.accessToken
     });
 
     // Store user details in session
@@ -143,14 +166,13 @@ router.get(`/${AUTH_CALLBACK_PATH}`, async (req, res) => {
       accessToken: tokenResponse.accessToken
     };
 
-    console.log('Session after login:', {
-      user: req.session.user,
-      account: req.session.user.account
-    });
+    log.info('🔐 MSAL login, signed in', { username: req.session.user.account.username });
 
+    loginCounter.inc({ outcome: 'success' })
     res.redirect('/account');
   } catch (err) {
-    console.error('Token acquisition error:', err);
+    log.error('Token acquisition error', { err });
+    loginCounter.inc({ outcome: 'failure' })
     res.render('error', {
       title: 'Authentication Error',
       message: err.message,
@@ -169,7 +191,7 @@ router.get('/logout', function (req, res) {
 
 // Update account route to use middleware
 router.get('/account', ensureAuthenticated, async function (req, res) {
-  console.log('Account route - session user:', req.session.user);
+  log.debug('Account route', { username: req.session.user.account?.username });
   
   let details = {}
   let photo = null
@@ -178,8 +200,7 @@ router.get('/account', ensureAuthenticated, async function (req, res) {
     details = await getUserDetails(req.session.user.accessToken)
     photo = await getUserPhoto(req.session.user.accessToken)
   } catch (err) {
-    console.log('### 💥 ERROR! Problem calling graph API')
-    console.log('### 💥 ERROR! ', err)
+    log.error('💥 Problem calling graph API', { err })
   }
 
   // Ensure we have the correct user structure
@@ -0,0 +1,36 @@
+//
+// Health check routes for container platforms, load balancers & Kubernetes probes
+// ---------------------------------------------
+//
+
+import express from 'express'
+const router = express.Router()
+import { runChecks } from '../health/checks.mjs'
+
+// =======================================================================
+// Original health check, kept for anything already pointing at it
+// =======================================================================
+router.get('/health', function (req, res, next) {
+  res.status(200).send('OK')
+})
+
+// =======================================================================
+// Liveness, the process is up & serving requests. Never checks dependencies,
+// otherwise a database outage would get every instance restarted
+// =======================================================================
+router.get('/health/live', function (req, res, next) {
+  res.status(200).send({ status: 'ok', uptime: Math.round(process.uptime()) })
+})
+
+// =======================================================================
+// Readiness, checks every enabled dependency, see health/checks.mjs
+// Returns 503 when a critical dependency is failing, so no traffic is sent here until it recovers
+// =======================================================================
+router.get('/health/ready', async function (req, res, next) {
+  const report = await runChecks()
+
+  res.set('Cache-Control', 'no-store')
+  res.status(report.status === 'fail' ? 503 : 200).send(report)
+})
+
+export default router
@@ -6,21 +6,58 @@
 //
 
 import PromMiddleware from 'express-prometheus-middleware'
+import { createLogger } from '../logging/logger.mjs'
+
+const log = createLogger('metrics')
+
+// Path & buckets can be changed with METRICS_PATH, METRICS_DURATION_BUCKETS & METRICS_SIZE_BUCKETS
+// Buckets are comma separated lists, durations are in seconds & sizes in bytes
+export const METRICS_PATH = process.env.METRICS_PATH || '/metrics'
+export const DURATION_BUCKETS = parseBuckets('METRICS_DURATION_BUCKETS', [0.1, 0.5, 1, 1.5])
+const SIZE_BUCKETS = parseBuckets('METRICS_SIZE_BUCKETS', [512, 1024, 5120, 10240, 51200, 102400])
 
 // Add metrics to the app
 // We can't use app.use() here due to how the metrics middleware wants to be registered
 export default function addMetrics(app) {
   app.use(
     PromMiddleware({
-      metricsPath: '/metrics',
+      metricsPath: METRICS_PATH,
 
       // Standard NodeJS runtime metrics
       collectDefaultMetrics: true,
 
       // HTTP request metrics
-      requestDurationBuckets: [0.1, 0.5, 1, 1.5],
-      requestLengthBuckets: [512, 1024, 5120, 10240, 51200, 102400],
-      responseLengthBuckets: [512, 1024, 5120, 10240, 51200, 102400],
+      requestDurationBuckets: DURATION_BUCKETS,
+      requestLengthBuckets: SIZE_BUCKETS,
+      responseLengthBuckets: SIZE_BUCKETS,
+
+      // Label by route template rather than URL, so every todo doesn't get its own series
+      transformLabels: (labels, req) => {
+        labels.route = routeTemplate(req)
+      },
     }),
   )
 }
+
+//
+// The route that handled a request, e.g. /api/todo/:id, or 'unmatched' when no route did, like a 404
+//
+export function routeTemplate(req) {
+  if (!req.route) return 'unmatched'
+
+  return `${req.baseUrl ?? ''}${req.route.path}`
+}
+
+// Falls back to the defaults when the setting is missing or isn't a list of positive numbers
+function parseBuckets(name, defaults) {
+  const value = process.env[name]
+  if (!value) return defaults
+
+  const buckets = value.split(',').map((bucket) => Number(bucket.trim()))
+  if (buckets.some((bucket) => !(bucket > 0))) {
+    log.error(`💥 ${name} must be a comma separated list of positive numbers, using the defaults`)
+    return defaults
+  }
+
+  return buckets.sort((a, b) => a - b)
+}
@@ -7,8 +7,12 @@
 import express from 'express'
 const router = express.Router()
 import os from 'os'
-import fs from 'fs'
 import { ManagedIdentityCredential } from "@azure/identity";
+import { getClient, getDependencyStatus } from '../http/client.mjs'
+import { detectContainer } from '../monitoring/cgroup.mjs'
+import { createLogger } from '../logging/logger.mjs'
+
+const log = createLogger('pages')
 
 // =======================================================================
 // Middleware to pass user data from session to all views
@@ -45,27 +49,14 @@ router.get('/info', function (req, res, next) {
     uptime: convertSeconds(os.uptime()),
   }
 
-  const isKube = fs.existsSync('/var/run/secrets/kubernetes.io')
-  let isContainer = isKube || fs.existsSync('/.dockerenv')
-
-  // Fallback to try to detect containerd, only works when *NOT* in Kubernetes
-  if (!isContainer) {
-    try {
-      const cgroup = fs.readFileSync('/proc/1/cgroup', 'utf8')
-      if (cgroup.includes('containerd')) {
-        isContainer = true
-      }
-      // eslint-disable-next-line
-    } catch (err) {
-      isContainer = false
-    }
-  }
+  const { isKube, isContainer } = detectContainer()
 
   res.render('info', {
     title: 'Node DemoApp: Info',
     info: info,
     isKube: isKube,
     isContainer: isContainer,
+    dependencies: getDependencyStatus(),
   })
 })
 
@@ -96,23 +87,6 @@ router.get('/tools', function (req, res, next) {
   })
 })
 
-// =======================================================================
-// Page to generate CPU load
-// =======================================================================
-router.get('/tools/load', function (req, res, next) {
-  const start = new Date().getTime()
-  for (let i = 0; i < 499900000.0; i++) {
-    Math.pow(9000.0, 9000.0)
-  }
-
-  const time = new Date().getTime() - start
-
-  res.render('tools', {
-    title: 'Node DemoApp: Tools',
-    message: `I did some really hard sums and it only took me ${time} milliseconds!`,
-  })
-})
-
 // =======================================================================
 // Page to generate server side errors, good for App Insights demos
 // =======================================================================
@@ -153,40 +127,33 @@ router.get('/tools/gc', function (req, res, next) {
 // =======================================================================
 router.get('/hello', async function (req, res, next) {
   try {
-    console.log('Initializing managed identity credential...');
+    log.debug('Initializing managed identity credential...');
     const credential = new ManagedIdentityCredential('7d75d2b9-58c0-4478-b4f0-44679da0c500');
     
-    console.log('Getting token...');
+    log.debug('Getting token...');
     const scope = 'api://shtc-hello-world-api/.default';
     const token = await credential.getToken(scope);
-    console.log('Token acquired successfully');
+    log.debug('Token acquired successfully');
     
     const apiUrl = 'https://hello-world-api.internal.lemonrock-97154e27.canadacentral.azurecontainerapps.io/';
-    console.log('Calling API:', apiUrl);
+    log.debug('Calling API', { url: apiUrl });
     
-    const response = await fetch(apiUrl, {
+    // Non 2xx responses are thrown as errors by the client
+    const response = await getClient('Hello World API').get(apiUrl, {
       headers: {
         'Authorization': `Bearer ${token.token}`
       }
     });
     
-    if (!response.ok) {
-      throw new Error(`API call failed: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    console.log('API Response received');
+    const data = response.data;
+    log.debug('API Response received');
     
     res.render('hello', {
       title: 'Node DemoApp: Hello World',
       message: data.message
     });
   } catch (err) {
-    console.error('Error:', {
-      name: err.name,
-      message: err.message,
-      stack: err.stack
-    });
+    log.error('Failed to call Hello World API', { err });
     next(err);
   }
 });
@@ -4,12 +4,12 @@
 // Ben C, Oct 2017 - Updated: Oct 2024
 //
 
-const packageJson = JSON.parse(readFileSync(new URL('./package.json', import.meta.url)))
-console.log(`### 🚀 Node.js demo app v${packageJson.version} starting...`)
+// Dotenv handy for local config & debugging, imports run in order so this is first & every module sees .env
+import 'dotenv/config'
 
-// Dotenv handy for local config & debugging
-import { config as dotenvConfig } from 'dotenv'
-dotenvConfig()
+const packageJson = JSON.parse(readFileSync(new URL('./package.json', import.meta.url)))
+const log = createLogger('server')
+log.info(`🚀 Node.js demo app v${packageJson.version} starting...`)
 
 import appInsights from 'applicationinsights'
 
@@ -22,13 +22,16 @@ if (process.env.APPLICATIONINSIGHTS_CONNECTION_STRING) {
     .setAutoCollectConsole(true, true)
     .start()
 
-  console.log('### 🩺 Azure App Insights enabled')
+  log.info('🩺 Azure App Insights enabled')
 }
 
 // Core Express & logging stuff
 import express from 'express'
 import path from 'path'
-import logger from 'morgan'
+import { createLogger } from './logging/logger.mjs'
+import { requestId, requestLogger } from './logging/requests.mjs'
+import { registerCheck } from './health/checks.mjs'
+import healthRoutes from './routes/health.mjs'
 import session from 'express-session'
 import { createClient as createRedisClient } from 'redis'
 import RedisStore from 'connect-redis'
@@ -38,6 +41,9 @@ const app = new express()
 // Get values from env vars or defaults where not provided
 const port = process.env.PORT || 3000
 
+// Every request gets an ID first, so it's on every log line written while handling it
+app.use(requestId)
+
 // View engine setup, static content & session
 const __dirname = path.resolve()
 app.set('views', [path.join(__dirname, 'views'), path.join(__dirname, 'todo')])
@@ -54,7 +60,7 @@ const sessionConfig = {
 
 // Update the root route to be simpler since auth is handled elsewhere
 app.get('/', (req, res) => {
-  console.log('DEBUG - Root route:', {
+  log.debug('Root route', {
     session: !!req.session,
     isAuthenticated: !!req.session?.user?.account,
     userExists: !!req.session?.user,
@@ -68,71 +74,65 @@ app.get('/', (req, res) => {
       user: req.session?.user?.account || null
     });
   } catch (error) {
-    console.error('DEBUG - Render error:', {
-      message: error.message,
-      stack: error.stack
-    });
+    log.error('Render error', { err: error });
     res.status(500).send('Error rendering page');
   }
 });
 
 // Update server creation to bind to all interfaces
 const server = app.listen(port, '0.0.0.0', () => {
-  console.log(`Server listening on port ${port}`);
+  log.info(`Server listening on port ${port}`);
 });
 
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
+  log.info('SIGTERM signal received: closing HTTP server');
   server.close(() => {
-    console.log('HTTP server closed');
+    log.info('HTTP server closed');
     process.exit(0);
   });
 });
 
-// Handle container health checks
-app.get('/health', (req, res) => {
-  res.status(200).send('OK');
-});
+// Handle container health checks, liveness & readiness probes
+app.use('/', healthRoutes)
 
 // Very optional Redis session store - only really needed when running multiple instances
 if (process.env.REDIS_SESSION_HOST) {
   const redisClient = createRedisClient({ url: `redis://${process.env.REDIS_SESSION_HOST}` })
 
   redisClient.connect().catch((err) => {
-    console.error('### 🚨 Redis session store error:', err.message)
+    log.error('🚨 Redis session store error', { err })
     process.exit(1)
   })
 
   sessionConfig.store = new RedisStore({ client: redisClient })
-  console.log('### 📚 Session store configured using Redis')
+  registerCheck('redis-session', () => redisClient.ping())
+  log.info('📚 Session store configured using Redis')
 } else {
-  console.log('### 🎈 Session store not configured, sessions will not persist')
+  log.info('🎈 Session store not configured, sessions will not persist')
 }
 
 app.use(session(sessionConfig))
 
 // Request logging, switch off when running tests
 if (process.env.NODE_ENV !== 'test') {
-  app.use(
-    logger('dev', {
-      skip: function (req, res) {
-        // Don't log the signin code PKCE redirect
-        return req.path.indexOf('/signin') == 0
-      },
-    }),
-  )
+  app.use(requestLogger())
 }
 
-// Parsing middleware
-app.use(express.json())
-app.use(express.urlencoded({ extended: false }))
+// Parsing middleware, todo imports are skipped as they read the raw file with a bigger limit
+const notImport = (type) => (req) => !req.path.startsWith('/api/todo/import/') && !!req.is(type)
+app.use(express.json({ type: notImport('application/json') }))
+app.use(express.urlencoded({ extended: false, type: notImport('application/x-www-form-urlencoded') }))
 
 // Routes & controllers
 import pageRoutes from './routes/pages.mjs'
 import apiRoutes from './routes/api.mjs'
+import loadRoutes from './load/routes.mjs'
 import authRoutes from './routes/auth.mjs'
 import todoRoutes from './todo/routes.mjs'
+import { getStoreType } from './todo/store.mjs'
+import weatherRoutes from './weather/routes.mjs'
+import { getProviderType } from './weather/provider.mjs'
 import addMetrics from './routes/metrics.mjs'
 
 // Prometheus metrics, enabled by default
@@ -144,33 +144,36 @@ if (process.env.DISABLE_METRICS !== 'true') {
 // Core routes we always want
 app.use('/', pageRoutes)
 app.use('/', apiRoutes)
+app.use('/', loadRoutes)
 
 // Initialize authentication only when configured
 if (process.env.ENTRA_APP_ID) {
-  console.log('=== Auth Configuration ===');
-  console.log('ENTRA_APP_ID:', process.env.ENTRA_APP_ID);
-  console.log('ENTRA_TENANT_ID:', process.env.ENTRA_TENANT_ID);
-  console.log('AUTH_REDIRECT_URI:', process.env.AUTH_REDIRECT_URI);
-  console.log('Mounting auth routes...');
+  log.debug('Mounting auth routes...', {
+    tenantId: process.env.ENTRA_TENANT_ID,
+    redirectUri: process.env.AUTH_REDIRECT_URI
+  });
   
   app.use('/', authRoutes);
   
-  console.log('Auth routes mounted successfully');
+  log.info('Auth routes mounted successfully');
   
   // List all registered routes for debugging
   app._router.stack.forEach(function(r){
     if (r.route && r.route.path){
-      console.log('Registered route:', r.route.path);
+      log.debug('Registered route', { path: r.route.path });
     }
   });
 } else {
-  console.warn('Warning: ENTRA_APP_ID not set, auth routes not mounted');
+  log.warn('ENTRA_APP_ID not set, auth routes not mounted');
 }
 
 // Optional routes based on certain settings/features being enabled
-if (process.env.TODO_MONGO_CONNSTR) {
+if (getStoreType()) {
   app.use('/', todoRoutes)
 }
+if (getProviderType()) {
+  app.use('/', weatherRoutes)
+}
 
 // Make package app version a global var, shown in _foot.ejs
 app.locals.version = packageJson.version
@@ -189,13 +192,16 @@ app.use(function (req, res, next) {
 
 // Error handler
 app.use((err, req, res, next) => {
-  console.error('Global error:', {
-    url: req.url,
-    message: err.message,
-    stack: err.stack
-  });
+  // Client errors like not found are only warnings, server errors are real errors
+  log[(err.status || 500) >= 500 ? 'error' : 'warn']('Global error', { url: req.originalUrl, err });
 
   res.status(err.status || 500);
+
+  // API calls get JSON like every other API error, e.g. when the body isn't valid JSON
+  if (req.path.startsWith('/api/')) {
+    return res.send({ error: err.message });
+  }
+
   res.render('error', {
     title: 'Error',
     message: err.message,
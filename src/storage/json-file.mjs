@@ -0,0 +1,46 @@
+//
+// JSON file that's read once at start up & written out in full on every change
+// Used by the todo file store & the weather file history, fine for a single instance only
+// ----------------------------------------------
+//
+
+import fs from 'fs/promises'
+import path from 'path'
+
+export default class JsonFile {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath)
+    this.pendingWrite = Promise.resolve()
+  }
+
+  // Returns the parsed file, or undefined when it doesn't exist yet, it's created on the first write
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err
+      }
+    }
+  }
+
+  // Writes are chained so two changes never write the file at the same time
+  // The data is serialised straight away, so later changes to it aren't written by this call
+  write(data, space) {
+    const json = JSON.stringify(data, null, space)
+
+    // A failed earlier write shouldn't stop later ones, so swallow it here, it was already reported
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+
+        // Write to a temp file then rename, so a crash never leaves a half written file
+        const tempFile = `${this.filePath}.tmp`
+        await fs.writeFile(tempFile, json)
+        await fs.rename(tempFile, this.filePath)
+      })
+
+    return this.pendingWrite
+  }
+}
@@ -0,0 +1,69 @@
+//
+// Todo change events, used to push live updates to open todo pages
+// When REDIS_SESSION_HOST is set events go via Redis pub/sub, so they reach every instance
+// ----------------------------------------------
+//
+
+import { EventEmitter } from 'events'
+import { createClient as createRedisClient } from 'redis'
+import { createLogger } from '../logging/logger.mjs'
+
+const CHANNEL = 'todo-events'
+const log = createLogger('todo')
+
+// Local emitter, every open event stream on this instance listens to this
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0)
+
+let publisher = null
+
+//
+// Connect to Redis if configured, otherwise events stay within this instance
+//
+export async function initEvents() {
+  if (!process.env.REDIS_SESSION_HOST) return
+
+  const client = createRedisClient({ url: `redis://${process.env.REDIS_SESSION_HOST}` })
+  client.on('error', (err) => log.error('🚨 Redis todo events error', { err }))
+
+  // Redis needs a dedicated connection for subscribing
+  const subscriber = client.duplicate()
+  subscriber.on('error', (err) => log.error('🚨 Redis todo events error', { err }))
+
+  await Promise.all([client.connect(), subscriber.connect()])
+  await subscriber.subscribe(CHANNEL, (message) => {
+    emitter.emit('todo', JSON.parse(message))
+  })
+
+  publisher = client
+  log.info('📡 Todo live updates will be shared with other instances using Redis')
+}
+
+//
+// Send an event out to every listener, type is one of 'created', 'updated', 'deleted' or 'restored' for a single todo,
+// 'imported' or 'batch' when many todos changed at once, or 'reminder' when a todo is about to become due
+// Owner is the list the todo is on, so events only go to people looking at that list
+//
+export async function publishTodoEvent(type, owner, data) {
+  const event = { type, owner, data }
+
+  if (publisher && publisher.isReady) {
+    try {
+      // We are also subscribed, so the event comes back to this instance via Redis
+      await publisher.publish(CHANNEL, JSON.stringify(event))
+      return
+    } catch (err) {
+      log.error('🚨 Redis todo events publish failed', { err })
+    }
+  }
+
+  emitter.emit('todo', event)
+}
+
+//
+// Listen for events, returns a function to stop listening
+//
+export function subscribeTodoEvents(listener) {
+  emitter.on('todo', listener)
+  return () => emitter.off('todo', listener)
+}
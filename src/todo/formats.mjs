@@ -0,0 +1,292 @@
+//
+// Convert todos to & from files for export and import; JSON, CSV and iCalendar (VTODO)
+// Parsers return an array of { row, todo } so import errors can point at the right place
+// ----------------------------------------------
+//
+
+import { TODO_FIELDS } from './schema.mjs'
+
+// iCalendar priorities go from 1 (highest) to 9 (lowest)
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 }
+
+export const FORMATS = {
+  json: { contentType: 'application/json', extension: 'json', write: toJSON, read: fromJSON },
+  csv: { contentType: 'text/csv', extension: 'csv', write: toCSV, read: fromCSV },
+  ics: { contentType: 'text/calendar', extension: 'ics', write: toICS, read: fromICS },
+}
+
+// Only export the fields a client can set, ids & owners don't mean anything in another environment
+function exportable(todo) {
+  const out = {}
+  for (const field of TODO_FIELDS) {
+    if (todo[field] !== undefined) out[field] = todo[field]
+  }
+  return out
+}
+
+// ==============================
+// JSON
+// ==============================
+
+function toJSON(todos) {
+  return JSON.stringify(todos.map(exportable), null, 2)
+}
+
+function fromJSON(body) {
+  const data = JSON.parse(body)
+  if (!Array.isArray(data)) {
+    throw new Error('JSON file must contain an array of todos')
+  }
+
+  return data.map((todo, index) => ({ row: index + 1, todo }))
+}
+
+// ==============================
+// CSV, as per RFC 4180
+// ==============================
+
+function toCSV(todos) {
+  const lines = [TODO_FIELDS.join(',')]
+  for (const todo of todos) {
+    lines.push(TODO_FIELDS.map((field) => csvValue(todo[field])).join(','))
+  }
+
+  return lines.join('\r\n') + '\r\n'
+}
+
+// Spreadsheets run cells starting with these as formulas, which a todo title could use to attack whoever opens the file
+const CSV_FORMULA_START = /^[=+\-@\t\r]/
+
+function csvValue(value) {
+  if (value === undefined || value === null) return ''
+
+  // Starting with a quote makes spreadsheets show the cell as text, it's taken off again on import
+  let text = String(value)
+  if (CSV_FORMULA_START.test(text)) text = `'${text}`
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// First line is the header, rows are numbered by line in the file to help find problems
+function fromCSV(body) {
+  const records = parseCSV(String(body))
+  if (records.length < 1) {
+    throw new Error('CSV file is empty')
+  }
+
+  const header = records[0].values.map((name) => name.trim())
+  const rows = []
+
+  for (const record of records.slice(1)) {
+    // Skip blank lines
+    if (record.values.length === 1 && record.values[0] === '') continue
+
+    const todo = {}
+    header.forEach((name, i) => {
+      const value = record.values[i]
+      if (value === undefined || value === '') return
+      todo[name] = name === 'done' ? csvBoolean(value) : csvText(value)
+    })
+
+    rows.push({ row: record.line, todo })
+  }
+
+  return rows
+}
+
+// Undo the quote added by csvValue to stop formulas
+function csvText(value) {
+  return value.startsWith("'") && CSV_FORMULA_START.test(value.slice(1)) ? value.slice(1) : value
+}
+
+// Leave anything that isn't true or false alone, so validation can reject it
+function csvBoolean(value) {
+  const lower = value.trim().toLowerCase()
+  if (lower === 'true') return true
+  if (lower === 'false') return false
+  return value
+}
+
+// Returns an array of { line, values }, quoted values can contain commas, quotes & newlines
+function parseCSV(text) {
+  const records = []
+  let values = []
+  let value = ''
+  let inQuotes = false
+  let line = 1
+  let recordLine = 1
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        if (char === '\n') line++
+        value += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      values.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      // Treat \r\n as a single line break
+      if (char === '\r' && text[i + 1] === '\n') i++
+
+      values.push(value)
+      records.push({ line: recordLine, values })
+      values = []
+      value = ''
+      line++
+      recordLine = line
+    } else {
+      value += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`CSV file has an unclosed quote, starting on line ${recordLine}`)
+  }
+
+  // Last line might not end with a newline
+  if (value !== '' || values.length > 0) {
+    values.push(value)
+    records.push({ line: recordLine, values })
+  }
+
+  return records
+}
+
+// ==============================
+// iCalendar, as per RFC 5545
+// ==============================
+
+function toICS(todos) {
+  const stamp = icsDate(new Date())
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//benc-uk//nodejs-demoapp//EN']
+
+  for (const todo of todos) {
+    lines.push('BEGIN:VTODO')
+    lines.push(`UID:${todo._id}@nodejs-demoapp`)
+    lines.push(`DTSTAMP:${stamp}`)
+    lines.push(`SUMMARY:${icsEscape(todo.title)}`)
+    lines.push(`CATEGORIES:${icsEscape(todo.type)}`)
+    lines.push(`STATUS:${todo.done ? 'COMPLETED' : 'NEEDS-ACTION'}`)
+    if (todo.dueDate) lines.push(`DUE:${icsDate(new Date(todo.dueDate))}`)
+    if (todo.priority) lines.push(`PRIORITY:${ICS_PRIORITIES[todo.priority]}`)
+    lines.push('END:VTODO')
+  }
+
+  lines.push('END:VCALENDAR')
+  return lines.map(icsFold).join('\r\n') + '\r\n'
+}
+
+// Each VTODO becomes a todo, rows are numbered by their position in the file
+// Calendar apps don't know about our todo types, so default to 'Todo' when there are no categories
+function fromICS(body) {
+  const lines = String(body)
+    .replace(/\r\n[ \t]/g, '')
+    .replace(/\n[ \t]/g, '')
+    .split(/\r?\n/)
+
+  if (!lines.some((line) => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('iCalendar file must contain a VCALENDAR')
+  }
+
+  const rows = []
+  let props = null
+
+  for (const line of lines) {
+    const upper = line.trim().toUpperCase()
+    if (upper === 'BEGIN:VTODO') {
+      props = {}
+      continue
+    }
+
+    if (upper === 'END:VTODO' && props) {
+      const todo = { type: 'Todo', done: props.STATUS?.toUpperCase() === 'COMPLETED' }
+      if (props.SUMMARY !== undefined) todo.title = icsUnescape(props.SUMMARY)
+      if (props.CATEGORIES) todo.type = icsUnescape(props.CATEGORIES.split(/(?<!\\),/)[0])
+      if (props.DUE) todo.dueDate = fromIcsDate(props.DUE)
+      if (props.PRIORITY) todo.priority = fromIcsPriority(props.PRIORITY)
+
+      rows.push({ row: rows.length + 1, todo })
+      props = null
+      continue
+    }
+
+    if (!props) continue
+
+    // NAME;PARAM=X:VALUE, we don't care about the params
+    const colon = line.indexOf(':')
+    if (colon < 0) continue
+    const name = line.slice(0, colon).split(';')[0].toUpperCase()
+    props[name] = line.slice(colon + 1)
+  }
+
+  return rows
+}
+
+function icsDate(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '')
+}
+
+// Handles UTC, floating & date only values, e.g. 20241001T090000Z, 20241001T090000 or 20241001
+// Anything else is passed through as is, and will fail validation
+function fromIcsDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/)
+  if (!match) return value
+
+  const [, year, month, day, hour = '00', min = '00', sec = '00', utc = ''] = match
+  return `${year}-${month}-${day}T${hour}:${min}:${sec}${utc}`
+}
+
+// Zero means undefined, otherwise map onto our three levels
+function fromIcsPriority(value) {
+  const priority = parseInt(value)
+  if (isNaN(priority) || priority < 0 || priority > 9) return value
+  if (priority === 0) return null
+  if (priority <= 4) return 'high'
+  if (priority === 5) return 'medium'
+  return 'low'
+}
+
+function icsEscape(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+}
+
+function icsUnescape(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char))
+}
+
+// Lines longer than 75 octets must be folded, taking care not to split a multi-byte character
+function icsFold(line) {
+  const parts = []
+  let current = ''
+  let size = 0
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char)
+    if (size + charSize > 75) {
+      parts.push(current)
+      current = ' '
+      size = 1
+    }
+    current += char
+    size += charSize
+  }
+  parts.push(current)
+
+  return parts.join('\r\n')
+}
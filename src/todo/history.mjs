@@ -0,0 +1,26 @@
+//
+// Change history for todos, each todo keeps a list of who changed what and when
+// The stores save this on the todo itself, but never return it except from getHistory
+// ----------------------------------------------
+//
+
+import { TODO_FIELDS } from './schema.mjs'
+
+// Only keep the latest changes, so busy todos don't grow forever
+export const HISTORY_MAX_ENTRIES = 100
+
+//
+// Build a history entry, action is one of 'created', 'updated', 'deleted' or 'restored'
+// User is who made the change, { name, username } or null when nobody is signed in
+// Changes holds { from, to } for every field that is different between before & after
+//
+export function historyEntry(action, user, before, after) {
+  const changes = {}
+  for (const field of TODO_FIELDS) {
+    const from = before?.[field] ?? null
+    const to = after?.[field] ?? null
+    if (from !== to) changes[field] = { from, to }
+  }
+
+  return { at: new Date().toISOString(), action, by: user ?? null, changes }
+}
@@ -0,0 +1,63 @@
+//
+// Prometheus metrics for the todo app, counts & times every store operation
+// ----------------------------------------------
+//
+
+import promClient from 'prom-client'
+import { DURATION_BUCKETS } from '../routes/metrics.mjs'
+
+// Store methods worth measuring, each is labelled with the method name as the operation
+const OPERATIONS = [
+  'list',
+  'listDueForReminder',
+  'markReminded',
+  'get',
+  'getHistory',
+  'create',
+  'update',
+  'remove',
+  'restore',
+  'transaction',
+]
+
+const operationCounter = new promClient.Counter({
+  name: 'todo_operations_total',
+  help: 'Todo store operations, by operation & outcome; ok, not_found or error',
+  labelNames: ['operation', 'outcome'],
+})
+
+const operationDuration = new promClient.Histogram({
+  name: 'todo_operation_duration_seconds',
+  help: 'How long todo store operations take',
+  labelNames: ['operation'],
+  buckets: DURATION_BUCKETS,
+})
+
+//
+// Wrap the store's methods so every call is counted & timed, returns the same store
+// The wrappers are set on the store itself, so transactions made with Object.create(store) are measured too
+//
+export function instrumentStore(store) {
+  for (const operation of OPERATIONS) {
+    const method = store[operation]
+    if (typeof method !== 'function') continue
+
+    store[operation] = async function (...args) {
+      const endTimer = operationDuration.startTimer({ operation })
+      try {
+        const result = await method.apply(this, args)
+        // Stores return null or false when a todo isn't found, or doesn't match the owner or version
+        const found = result !== null && result !== false
+        operationCounter.inc({ operation, outcome: found ? 'ok' : 'not_found' })
+        return result
+      } catch (err) {
+        operationCounter.inc({ operation, outcome: 'error' })
+        throw err
+      } finally {
+        endTimer()
+      }
+    }
+  }
+
+  return store
+}
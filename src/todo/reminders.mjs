@@ -0,0 +1,54 @@
+//
+// Reminder scheduler, checks every minute for todos that are about to become due
+// Reminders are logged, sent to App Insights as custom events & pushed to open todo pages
+// ----------------------------------------------
+//
+
+import appInsights from 'applicationinsights'
+import { publishTodoEvent } from './events.mjs'
+import { createLogger } from '../logging/logger.mjs'
+
+const CHECK_INTERVAL = 60 * 1000
+const log = createLogger('todo')
+
+//
+// Start checking for due todos, TODO_REMINDER_MINUTES sets how far ahead to look, zero disables reminders
+//
+export function startReminders(store) {
+  const minutes = parseInt(process.env.TODO_REMINDER_MINUTES ?? '15')
+  if (!(minutes > 0)) return
+
+  // Todos are marked when reminded, so each is only reminded once, or again when its due date changes
+  // Marking first means if several instances find the same todo only one of them sends the reminder
+  const timer = setInterval(async () => {
+    const until = new Date(Date.now() + minutes * 60 * 1000).toISOString()
+
+    try {
+      const dueTodos = await store.listDueForReminder(until)
+      for (const todo of dueTodos) {
+        if (await store.markReminded(String(todo._id))) {
+          sendReminder(todo)
+        }
+      }
+    } catch (err) {
+      log.error('💥 Reminder check failed', { err })
+    }
+  }, CHECK_INTERVAL)
+
+  // Don't keep the process alive just for reminders
+  timer.unref()
+  log.info(`⏰ Todo reminders enabled, for todos due in the next ${minutes} minutes`)
+}
+
+function sendReminder(todo) {
+  log.info(`⏰ Reminder: '${todo.title}' is due at ${todo.dueDate}`, { id: String(todo._id) })
+
+  if (appInsights.defaultClient) {
+    appInsights.defaultClient.trackEvent({
+      name: 'todoReminder',
+      properties: { id: String(todo._id), title: todo.title, dueDate: todo.dueDate, priority: todo.priority },
+    })
+  }
+
+  publishTodoEvent('reminder', todo.owner ?? null, { todo })
+}
@@ -1,5 +1,5 @@
 //
-// Optional mini todo app which uses MongoDb - only shows up when MONGO_CONNSTR is set
+// Optional mini todo app - only shows up when TODO_STORE or TODO_MONGO_CONNSTR is set
 // ----------------------------------------------
 // Ben C, July 2018
 // Updated June, 2019
@@ -7,49 +7,233 @@
 
 import express from 'express'
 const router = express.Router()
-import { MongoClient, ObjectId } from 'mongodb'
 import appInsights from 'applicationinsights'
+import { createStore, getStoreType } from './store.mjs'
+import { instrumentStore } from './metrics.mjs'
+import {
+  validateTodo,
+  parseListQuery,
+  parseBatch,
+  TODO_TYPES,
+  TODO_PRIORITIES,
+  TITLE_MAX_LENGTH,
+  PAGE_SIZE_MAX,
+  TODO_FIELDS,
+} from './schema.mjs'
+import { FORMATS } from './formats.mjs'
+import { startReminders } from './reminders.mjs'
+import { ensureAuthenticated } from '../routes/auth.mjs'
+import { initEvents, publishTodoEvent, subscribeTodoEvents } from './events.mjs'
+import { openEventStream } from '../http/sse.mjs'
+import { createLogger } from '../logging/logger.mjs'
+import { registerCheck } from '../health/checks.mjs'
 
-const DBNAME = process.env.TODO_MONGO_DB || 'todoDb'
-const COLLECTION = 'todos'
-let db
+// When auth is enabled every user gets their own list, otherwise everyone uses the shared list
+const AUTH_ENABLED = !!process.env.ENTRA_APP_ID
+const SHARED_LIST_ENABLED = !AUTH_ENABLED || process.env.TODO_SHARED_LIST === 'true'
+const IMPORT_MAX_ROWS = 1000
+const log = createLogger('todo')
 
-  //
-  // Connect to MongoDB server
-  //
+let store
+let storeReady = false
+
+//
+// Create & connect the configured store
+//
 ;(async function () {
-  if (!process.env.TODO_MONGO_CONNSTR) return
+  if (!getStoreType()) return
+
+  // The app isn't ready until the store has connected, and stops being ready if it can't be reached
+  registerCheck('todo-store', async () => {
+    if (!storeReady) throw new Error('Todo store has not started')
+    await store.ping()
+  })
+
   try {
-    const client = await MongoClient.connect(process.env.TODO_MONGO_CONNSTR, {})
-    db = client.db(DBNAME)
-    console.log('### ✅ Enabled Todo app. Connected to MongoDB!')
+    store = instrumentStore(createStore())
+    await store.init()
+    storeReady = true
+    log.info(`✅ Enabled Todo app. Using ${store.name} store!`)
+
+    // Reminders only need the store, so they don't wait on the event bus
+    startReminders(store)
   } catch (err) {
     if (appInsights.defaultClient) {
       appInsights.defaultClient.trackException({ exception: err })
     }
-    console.log(`### 💥 ERROR! ${err.toString()}`)
+    log.error('💥 Todo app failed to start', { err })
+    return
+  }
+
+  // Without the event bus the app still works, live updates just stay on this instance
+  try {
+    await initEvents()
+  } catch (err) {
+    if (appInsights.defaultClient) {
+      appInsights.defaultClient.trackException({ exception: err })
+    }
+    log.error('💥 Todo live updates failed to start', { err })
   }
 })()
 
+//
+// Everything in the todo app needs a signed in user when auth is enabled
+//
+if (AUTH_ENABLED) {
+  router.use(['/todo', '/api/todo'], ensureAuthenticated)
+}
+router.use('/api/todo', resolveOwner)
+
 //
 // Render Todo page
 //
 router.get('/todo', function (req, res, next) {
   res.render('todo', {
     title: 'Node DemoApp: Todo',
+    storeName: store ? store.name : 'Unknown',
+    todoTypes: TODO_TYPES,
+    todoPriorities: TODO_PRIORITIES,
+    titleMaxLength: TITLE_MAX_LENGTH,
+    showListPicker: AUTH_ENABLED && SHARED_LIST_ENABLED,
   })
 })
 
 //
-// Todo API: GET  - return array of all todos, probably should have pagination at some point
+// Todo API: GET  - return a page of todos, with optional filters & sorting, see parseListQuery
 //
 router.get('/api/todo', async function (req, res, next) {
+  const { query, errors } = parseListQuery(req.query)
+  if (errors.length > 0) {
+    return res.status(400).send({ error: 'Invalid query', errors })
+  }
+
+  try {
+    const result = await store.list({ ...query, owner: req.owner })
+    sendData(res, {
+      items: result.items,
+      total: result.total,
+      offset: query.offset,
+      limit: query.limit,
+    })
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+//
+// Todo API: GET  - return a page of todos in the trash, takes the same query as listing todos
+// Most recently deleted come first, unless another sort is picked
+//
+router.get('/api/todo/trash', async function (req, res, next) {
+  const { query, errors } = parseListQuery(req.query)
+  if (errors.length > 0) {
+    return res.status(400).send({ error: 'Invalid query', errors })
+  }
+
+  if (!query.sort) {
+    query.sort = 'deletedAt'
+    query.order = 'desc'
+  }
+
+  try {
+    const result = await store.list({ ...query, owner: req.owner, deleted: true })
+    sendData(res, {
+      items: result.items,
+      total: result.total,
+      offset: query.offset,
+      limit: query.limit,
+    })
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+//
+// Todo API: GET  - stream of changes to the todo list, as Server-Sent Events
+//
+router.get('/api/todo/events', function (req, res, next) {
+  openEventStream(req, res, (send) =>
+    // Only pass on events for the list this client is looking at
+    subscribeTodoEvents((event) => {
+      if ((event.owner ?? null) !== req.owner) return
+
+      send(event.type, event.data)
+    }),
+  )
+})
+
+//
+// Todo API: GET  - export every todo on the list as a file, format is one of json, csv or ics
+//
+router.get('/api/todo/export/:format', async function (req, res, next) {
+  const format = FORMATS[req.params.format]
+  if (!format) {
+    return res.status(400).send({ error: `Unknown format, must be one of: ${Object.keys(FORMATS).join(', ')}` })
+  }
+
+  try {
+    const todos = await listAll(req.owner)
+
+    res.type(format.contentType)
+    res.attachment(`todos.${format.extension}`)
+    res.status(200).send(format.write(todos))
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+//
+// Todo API: POST - import todos from a file, format is one of json, csv or ics
+// Valid rows are all added or none are, invalid rows are skipped & returned with their errors
+//
+router.post('/api/todo/import/:format', express.text({ type: '*/*', limit: '1mb' }), async function (req, res, next) {
+  const format = FORMATS[req.params.format]
+  if (!format) {
+    return res.status(400).send({ error: `Unknown format, must be one of: ${Object.keys(FORMATS).join(', ')}` })
+  }
+
+  let rows
   try {
-    const result = await db.collection(COLLECTION).find({}).toArray()
-    if (!result) {
-      sendData(res, [])
+    rows = format.read(req.body)
+  } catch (err) {
+    return res.status(400).send({ error: `Unable to read file: ${err.message}` })
+  }
+
+  if (rows.length > IMPORT_MAX_ROWS) {
+    return res.status(400).send({ error: `Too many todos, a file can have at most ${IMPORT_MAX_ROWS}` })
+  }
+
+  const rejected = []
+  const valid = []
+  for (const { row, todo } of rows) {
+    const { todo: validTodo, errors } = validateTodo(todo)
+    if (errors.length > 0) {
+      rejected.push({ row, errors })
     } else {
-      sendData(res, result)
+      valid.push({ ...validTodo, owner: req.owner })
+    }
+  }
+
+  // Valid rows are added in one transaction, so the file is written once & a failure leaves nothing half imported
+  const createAll = async (target) => {
+    for (const todo of valid) {
+      await target.create(todo, req.changedBy)
+    }
+  }
+
+  try {
+    try {
+      if (valid.length > 0) await store.transaction(createAll)
+    } catch (err) {
+      // A standalone MongoDB can't do transactions, so add them one at a time instead
+      if (err.status !== 501) throw err
+      await createAll(store)
+    }
+
+    const imported = valid.length
+    sendData(res, { imported, rejected })
+    if (imported > 0) {
+      publishTodoEvent('imported', req.owner, { count: imported })
     }
   } catch (err) {
     sendError(res, err)
@@ -59,14 +243,15 @@ router.get('/api/todo', async function (req, res, next) {
 //
 // Todo API: POST - create or edit a new todo
 //
-router.post('/api/todo', async function (req, res, next) {
-  const todo = req.body
+router.post('/api/todo', validateBody, async function (req, res, next) {
   try {
-    const result = await db.collection(COLLECTION).insertOne(todo)
+    const result = await store.create({ ...req.todo, owner: req.owner }, req.changedBy)
     if (result) {
+      res.set('ETag', etagFor(result))
       sendData(res, {
-        newId: result.insertedId,
+        newId: result._id,
       })
+      publishTodoEvent('created', req.owner, { todo: result })
     } else {
       throw 'Error POSTing todo'
     }
@@ -76,17 +261,98 @@ router.post('/api/todo', async function (req, res, next) {
 })
 
 //
-// Todo API: PUT - update a todo
+// Todo API: POST - run a batch of create, update & delete operations, see parseBatch
+// Returns a result for each operation, when atomic is true either every operation succeeds or nothing changes
 //
-router.put('/api/todo/:id', async function (req, res, next) {
-  const todo = req.body
-  delete todo._id
+router.post('/api/todo/batch', async function (req, res, next) {
+  const { batch, errors } = parseBatch(req.body)
+  if (errors.length > 0) {
+    return res.status(400).send({ error: 'Invalid batch', errors })
+  }
+
   try {
-    const result = await db.collection(COLLECTION).findOneAndReplace({ _id: new ObjectId(req.params.id) }, todo)
+    let results = []
+
+    if (batch.atomic) {
+      let failed = null
+      try {
+        results = await store.transaction(async (tx) => {
+          const txResults = []
+          for (const [index, operation] of batch.operations.entries()) {
+            const result = await runOperation(tx, operation, req)
+            if (result.status !== 200) {
+              failed = { index, result }
+              throw new Error(`Batch operation ${index} failed`)
+            }
+            txResults.push(result)
+          }
+          return txResults
+        })
+      } catch (err) {
+        if (!failed) throw err
+
+        // Everything was rolled back, so only the failed operation has a real result
+        results = batch.operations.map((operation, index) =>
+          index === failed.index ? failed.result : { status: 424, error: 'Not applied, another operation failed' },
+        )
+        return res.status(409).send({ error: `Operation ${failed.index} failed, no changes were made`, results })
+      }
+    } else {
+      for (const operation of batch.operations) {
+        try {
+          results.push(await runOperation(store, operation, req))
+        } catch (err) {
+          trackException(err)
+          results.push({ status: 500, error: err.toString() })
+        }
+      }
+    }
+
+    sendData(res, { results })
+
+    // Pages reload when they get this, rather than getting an event for every todo
+    const changed = results.filter((result) => result.status === 200 && !result.unchanged).length
+    if (changed > 0) {
+      publishTodoEvent('batch', req.owner, { count: changed })
+    }
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+//
+// Todo API: GET  - return a single todo, with its version as the ETag
+//
+router.get('/api/todo/:id', async function (req, res, next) {
+  try {
+    const result = await store.get(req.params.id, { owner: req.owner })
     if (result) {
+      res.set('ETag', etagFor(result))
       sendData(res, result)
     } else {
-      throw 'Error PUTing todo'
+      sendError(res, `Todo ${req.params.id} not found`, 404)
+    }
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+//
+// Todo API: PUT - replace a todo, send If-Match with the ETag to avoid overwriting someone else's changes
+//
+router.put('/api/todo/:id', validateBody, async function (req, res, next) {
+  try {
+    const result = await store.update(
+      req.params.id,
+      { ...req.todo, owner: req.owner },
+      { owner: req.owner, version: ifMatchVersion(req) },
+      req.changedBy,
+    )
+
+    if (result) {
+      sendUpdated(req, res, result)
+    } else {
+      await sendNotFoundOrConflict(req, res)
     }
   } catch (err) {
     sendError(res, err)
@@ -94,39 +360,296 @@ router.put('/api/todo/:id', async function (req, res, next) {
 })
 
 //
-// Todo API: DELETE - remove a todo from DB
+// Todo API: PATCH - update some fields of a todo, as a JSON merge patch where null removes a field
+// Also takes If-Match like PUT, plain application/json is accepted too as it's what most clients send
+//
+router.patch('/api/todo/:id', express.json({ type: 'application/merge-patch+json' }), async function (req, res, next) {
+  if (!req.is(['application/merge-patch+json', 'application/json'])) {
+    return res.status(415).send({ error: 'Patch must be sent as application/merge-patch+json' })
+  }
+
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    const errors = [{ field: null, message: 'Patch must be a JSON object' }]
+    return res.status(400).send({ error: 'Todo failed validation', errors })
+  }
+
+  try {
+    const result = await applyPatch(store, req.params.id, req.body, req, ifMatchVersion(req))
+    if (result.unchanged) {
+      res.set('ETag', etagFor(result.todo))
+      sendData(res, result.todo)
+    } else if (result.status === 200) {
+      sendUpdated(req, res, result.todo)
+    } else {
+      sendResult(res, result)
+    }
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+//
+// Todo API: DELETE - move a todo to the trash, also takes If-Match like PUT
 //
 router.delete('/api/todo/:id', async function (req, res, next) {
   try {
-    const result = await db.collection(COLLECTION).deleteOne({ _id: new ObjectId(req.params.id) })
-    if (result && result.deletedCount) {
+    const scope = { owner: req.owner, version: ifMatchVersion(req) }
+    const deleted = await store.remove(req.params.id, scope, req.changedBy)
+    if (deleted) {
       sendData(res, { msg: `Deleted doc ${req.params.id} ok` })
+      publishTodoEvent('deleted', req.owner, { id: req.params.id })
+    } else {
+      await sendNotFoundOrConflict(req, res)
+    }
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+//
+// Todo API: POST - take a todo out of the trash, also takes If-Match like PUT
+//
+router.post('/api/todo/:id/restore', async function (req, res, next) {
+  try {
+    const scope = { owner: req.owner, version: ifMatchVersion(req) }
+    const result = await store.restore(req.params.id, scope, req.changedBy)
+    if (result) {
+      res.set('ETag', etagFor(result))
+      sendData(res, result)
+      publishTodoEvent('restored', req.owner, { todo: result })
+      return
+    }
+
+    // Either it's not in the trash, or it's been changed since the client last saw it
+    const current = await store.get(req.params.id, { owner: req.owner, deleted: true })
+    if (current) {
+      sendResult(res, { status: 412, error: 'Todo has been changed by someone else', current })
     } else {
-      throw 'Error DELETEing todo'
+      sendError(res, `Todo ${req.params.id} not found in the trash`, 404)
     }
   } catch (err) {
     sendError(res, err)
   }
 })
 
+//
+// Todo API: GET  - return the change history of a todo, oldest first, including todos in the trash
+//
+router.get('/api/todo/:id/history', async function (req, res, next) {
+  try {
+    const history = await store.getHistory(req.params.id, { owner: req.owner })
+    if (history) {
+      sendData(res, { id: req.params.id, history })
+    } else {
+      sendError(res, `Todo ${req.params.id} not found`, 404)
+    }
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+//
+// Send back an updated todo with its new ETag, and let everyone else know
+//
+function sendUpdated(req, res, todo) {
+  res.set('ETag', etagFor(todo))
+  sendData(res, todo)
+  publishTodoEvent('updated', req.owner, { todo })
+}
+
+//
+// An update or delete didn't match anything, so either the todo is gone or it's been changed
+//
+async function sendNotFoundOrConflict(req, res) {
+  sendResult(res, await notFoundOrConflict(store, req.params.id, req.owner))
+}
+
+//
+// Send a failed result from applyPatch or notFoundOrConflict as the response
+//
+function sendResult(res, { status, ...body }) {
+  if (status === 404) {
+    return sendError(res, body.error, 404)
+  }
+
+  if (body.current) {
+    res.set('ETag', etagFor(body.current))
+  }
+  res.status(status).send(body)
+}
+
+//
+// Work out why a todo couldn't be changed, returns a result like runOperation
+// On a conflict we send back the latest version, so the client can show the user what changed
+//
+async function notFoundOrConflict(target, id, owner) {
+  const current = await target.get(id, { owner })
+  if (!current) {
+    return { status: 404, error: `Todo ${id} not found` }
+  }
+
+  return { status: 412, error: 'Todo has been changed by someone else', current }
+}
+
+//
+// Apply a JSON merge patch to a todo, target is the store or a transaction
+// Version works like If-Match, returns a result like runOperation
+// A patch that changes nothing leaves the todo alone, with no new version or history, and is marked unchanged
+//
+async function applyPatch(target, id, changes, req, version) {
+  const owner = req.owner
+  // Without a version, someone else could change the todo while we apply the patch, so try again a few times
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const current = await target.get(id, { owner })
+    if (!current || (version !== undefined && (current.version ?? 0) !== version)) break
+
+    // Validate the whole todo with the changes applied
+    const { todo, errors } = validateTodo({ ...current, ...changes })
+    if (errors.length > 0) {
+      return { status: 400, error: 'Todo failed validation', errors }
+    }
+
+    if (TODO_FIELDS.every((field) => todo[field] === current[field])) {
+      return { status: 200, todo: current, unchanged: true }
+    }
+
+    const scope = { owner, version: current.version ?? 0 }
+    const result = await target.update(id, { ...todo, owner }, scope, req.changedBy)
+    if (result) {
+      return { status: 200, todo: result }
+    }
+
+    if (version !== undefined) break
+  }
+
+  return await notFoundOrConflict(target, id, owner)
+}
+
+//
+// Run a single batch operation against the store or a transaction
+// Returns a result with an HTTP style status, 200 with the todo or id when it worked, otherwise an error
+//
+async function runOperation(target, operation, req) {
+  switch (operation.op) {
+    case 'create': {
+      const todo = await target.create({ ...operation.todo, owner: req.owner }, req.changedBy)
+      return { status: 200, todo }
+    }
+
+    case 'update':
+      return await applyPatch(target, operation.id, operation.changes, req, operation.version)
+
+    case 'delete': {
+      const scope = { owner: req.owner, version: operation.version }
+      const deleted = await target.remove(operation.id, scope, req.changedBy)
+      return deleted ? { status: 200, id: operation.id } : await notFoundOrConflict(target, operation.id, req.owner)
+    }
+  }
+}
+
+//
+// ETags are just the todo version, todos from before versions were added count as version 0
+//
+function etagFor(todo) {
+  return `"${todo.version ?? 0}"`
+}
+
+//
+// Get the version from the If-Match header, undefined when there isn't one or it's *
+// Anything we can't parse can never match, so becomes NaN
+//
+function ifMatchVersion(req) {
+  const ifMatch = req.get('If-Match')
+  if (!ifMatch || ifMatch.trim() === '*') return undefined
+
+  const match = ifMatch.trim().match(/^(?:W\/)?"(\d+)"$/)
+  return match ? parseInt(match[1]) : NaN
+}
+
+//
+// Get every todo on a list, a page at a time
+//
+async function listAll(owner) {
+  const todos = []
+  for (let offset = 0; ; offset += PAGE_SIZE_MAX) {
+    const { items, total } = await store.list({ owner, offset, limit: PAGE_SIZE_MAX })
+    todos.push(...items)
+
+    if (items.length === 0 || todos.length >= total) return todos
+  }
+}
+
+//
+// Middleware to work out which list the request is for, sets req.owner
+// This is the signed in user's account id, or null for the shared list, picked with ?list=shared
+// Also sets req.changedBy, the user making any changes, which is kept in the todo history
+//
+function resolveOwner(req, res, next) {
+  const account = req.session?.user?.account
+  req.changedBy = account ? { name: account.name, username: account.username } : null
+
+  if (!AUTH_ENABLED) {
+    req.owner = null
+    return next()
+  }
+
+  if (req.query.list === 'shared') {
+    if (!SHARED_LIST_ENABLED) {
+      return res.status(403).send({ error: 'The shared todo list is not enabled' })
+    }
+
+    req.owner = null
+    return next()
+  }
+
+  req.owner = req.session.user.account.homeAccountId
+  next()
+}
+
+//
+// Middleware to validate the todo in the request body, responds with 400 and every field error if invalid
+//
+function validateBody(req, res, next) {
+  const { todo, errors } = validateTodo(req.body)
+  if (errors.length > 0) {
+    return res.status(400).send({ error: 'Todo failed validation', errors })
+  }
+
+  req.todo = todo
+  next()
+}
+
 //
 // Helper to send standard error and track it
+// Errors can carry their own HTTP status as status or code, anything else, like a MongoDB error code, is a 500
 //
 function sendError(res, err, code = 500) {
-  console.dir(err)
-  console.log(`### Error with API ${JSON.stringify(err)}`)
   let statuscode = code
-  if (err.code > 1) {
-    statuscode = err.code
+  const errStatus = err.status ?? err.code
+  if (Number.isInteger(errStatus) && errStatus >= 400 && errStatus <= 599) {
+    statuscode = errStatus
   }
 
-  // App Insights
-  if (appInsights.defaultClient) {
-    appInsights.defaultClient.trackException({ exception: err })
+  log[statuscode >= 500 ? 'error' : 'warn']('💥 Error with API', { err })
+
+  trackException(err)
+
+  // Errors don't serialise to JSON, only send the message when the error set its own status
+  if (err instanceof Error) {
+    const message = statuscode === errStatus ? err.message : 'Something went wrong, see the server logs'
+    return res.status(statuscode).send({ error: message })
   }
 
   res.status(statuscode).send(err)
-  return
+}
+
+//
+// Helper to track an exception in App Insights
+//
+function trackException(err) {
+  if (appInsights.defaultClient) {
+    appInsights.defaultClient.trackException({ exception: err })
+  }
 }
 
 //
@@ -0,0 +1,277 @@
+//
+// Todo schema, validates & cleans up todos sent to the API before they reach the store
+// ----------------------------------------------
+//
+
+export const TITLE_MAX_LENGTH = 500
+export const TODO_TYPES = ['Reminder', 'Todo', 'Meeting', 'Idea']
+export const TODO_PRIORITIES = ['low', 'medium', 'high']
+export const SORT_FIELDS = ['title', 'type', 'done', 'dueDate']
+export const PAGE_SIZE_DEFAULT = 20
+export const PAGE_SIZE_MAX = 100
+export const BATCH_OPERATIONS = ['create', 'update', 'delete']
+export const BATCH_MAX_OPERATIONS = 1000
+
+// Due dates are stored in the format from Date.toISOString(), so they sort & compare as strings
+const ISO_DATE_INPUT = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/
+const ISO_DATE_STORED = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/
+
+// Each field has a validator which returns an error message, or nothing when the value is OK
+// Optional fields can be left out or set to null, and clean is run on the value before validating
+const FIELDS = {
+  title: {
+    required: true,
+    clean: cleanText,
+    validate: (value) => {
+      if (typeof value !== 'string') return 'must be a string'
+      if (value.length < 1) return 'must not be empty'
+      if (value.length > TITLE_MAX_LENGTH) return `must be ${TITLE_MAX_LENGTH} characters or less`
+    },
+  },
+
+  type: {
+    required: true,
+    validate: (value) => {
+      if (!TODO_TYPES.includes(value)) return `must be one of: ${TODO_TYPES.join(', ')}`
+    },
+  },
+
+  done: {
+    required: true,
+    validate: (value) => {
+      if (typeof value !== 'boolean') return 'must be true or false'
+    },
+  },
+
+  dueDate: {
+    required: false,
+    clean: (value) => (ISO_DATE_INPUT.test(value) && !isNaN(Date.parse(value)) ? new Date(value).toISOString() : value),
+    validate: (value) => {
+      if (typeof value !== 'string' || !ISO_DATE_STORED.test(value))
+        return 'must be an ISO 8601 date, e.g. 2024-10-01T09:00Z'
+    },
+  },
+
+  priority: {
+    required: false,
+    validate: (value) => {
+      if (!TODO_PRIORITIES.includes(value)) return `must be one of: ${TODO_PRIORITIES.join(', ')}`
+    },
+  },
+}
+
+// Every field a client can set, in the order they are exported
+export const TODO_FIELDS = Object.keys(FIELDS)
+
+// Fields the server manages, clients can send these back but they are ignored
+const READ_ONLY_FIELDS = ['_id', 'owner', 'version', 'deletedAt', 'remindedAt']
+
+//
+// Validate a todo, returns { todo, errors } where errors is an array of { field, message }
+// The returned todo is a clean copy, and only safe to use when there are no errors
+//
+export function validateTodo(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { todo: null, errors: [{ field: null, message: 'Todo must be a JSON object' }] }
+  }
+
+  const todo = {}
+  const errors = []
+
+  for (const field of Object.keys(input)) {
+    if (READ_ONLY_FIELDS.includes(field)) continue
+
+    if (!FIELDS[field]) {
+      errors.push({ field, message: 'is not a known field' })
+    }
+  }
+
+  for (const [field, { required, clean, validate }] of Object.entries(FIELDS)) {
+    let value = input[field]
+    if (value === undefined || (value === null && !required)) {
+      if (required) errors.push({ field, message: 'is required' })
+      continue
+    }
+
+    if (clean && typeof value === 'string') {
+      value = clean(value)
+    }
+
+    const message = validate(value)
+    if (message) {
+      errors.push({ field, message })
+      continue
+    }
+
+    todo[field] = value
+  }
+
+  return { todo, errors }
+}
+
+//
+// Parse & validate the query string for listing todos, returns { query, errors }
+// Query holds the filters: done, type, priority & search, plus sort, order, offset & limit
+//
+export function parseListQuery(params) {
+  const query = { offset: 0, limit: PAGE_SIZE_DEFAULT, sort: null, order: 'asc' }
+  const errors = []
+
+  if (params.done !== undefined) {
+    if (params.done === 'true' || params.done === 'false') {
+      query.done = params.done === 'true'
+    } else {
+      errors.push({ field: 'done', message: 'must be true or false' })
+    }
+  }
+
+  if (params.type !== undefined) {
+    if (TODO_TYPES.includes(params.type)) {
+      query.type = params.type
+    } else {
+      errors.push({ field: 'type', message: `must be one of: ${TODO_TYPES.join(', ')}` })
+    }
+  }
+
+  if (params.priority !== undefined) {
+    if (TODO_PRIORITIES.includes(params.priority)) {
+      query.priority = params.priority
+    } else {
+      errors.push({ field: 'priority', message: `must be one of: ${TODO_PRIORITIES.join(', ')}` })
+    }
+  }
+
+  if (params.search !== undefined) {
+    if (typeof params.search === 'string' && params.search.length <= TITLE_MAX_LENGTH) {
+      query.search = params.search.trim()
+    } else {
+      errors.push({ field: 'search', message: `must be ${TITLE_MAX_LENGTH} characters or less` })
+    }
+  }
+
+  if (params.sort !== undefined) {
+    if (SORT_FIELDS.includes(params.sort)) {
+      query.sort = params.sort
+    } else {
+      errors.push({ field: 'sort', message: `must be one of: ${SORT_FIELDS.join(', ')}` })
+    }
+  }
+
+  if (params.order !== undefined) {
+    if (params.order === 'asc' || params.order === 'desc') {
+      query.order = params.order
+    } else {
+      errors.push({ field: 'order', message: 'must be asc or desc' })
+    }
+  }
+
+  if (params.offset !== undefined) {
+    const offset = Number(params.offset)
+    if (Number.isInteger(offset) && offset >= 0) {
+      query.offset = offset
+    } else {
+      errors.push({ field: 'offset', message: 'must be a whole number, zero or more' })
+    }
+  }
+
+  if (params.limit !== undefined) {
+    const limit = Number(params.limit)
+    if (Number.isInteger(limit) && limit >= 1 && limit <= PAGE_SIZE_MAX) {
+      query.limit = limit
+    } else {
+      errors.push({ field: 'limit', message: `must be a whole number between 1 and ${PAGE_SIZE_MAX}` })
+    }
+  }
+
+  return { query, errors }
+}
+
+//
+// Parse & validate a batch of operations, returns { batch, errors }
+// Batch holds atomic & the operations, each one of:
+//   { op: 'create', todo }
+//   { op: 'update', id, changes, version }, where changes is a merge patch like PATCH
+//   { op: 'delete', id, version }
+// Version is optional and works like If-Match, updates can only be fully validated once the changes are applied
+//
+export function parseBatch(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { batch: null, errors: [{ field: null, message: 'Batch must be a JSON object' }] }
+  }
+
+  const batch = { atomic: false, operations: [] }
+  const errors = []
+
+  if (input.atomic !== undefined) {
+    if (typeof input.atomic === 'boolean') {
+      batch.atomic = input.atomic
+    } else {
+      errors.push({ field: 'atomic', message: 'must be true or false' })
+    }
+  }
+
+  const operations = input.operations
+  if (!Array.isArray(operations) || operations.length < 1 || operations.length > BATCH_MAX_OPERATIONS) {
+    errors.push({ field: 'operations', message: `must be an array of 1 to ${BATCH_MAX_OPERATIONS} operations` })
+    return { batch, errors }
+  }
+
+  operations.forEach((operationInput, index) => {
+    const { operation, errors: opErrors } = parseOperation(operationInput)
+    for (const { field, message } of opErrors) {
+      errors.push({ field: field ? `operations.${index}.${field}` : `operations.${index}`, message })
+    }
+    batch.operations.push(operation)
+  })
+
+  return { batch, errors }
+}
+
+function parseOperation(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { operation: null, errors: [{ field: null, message: 'must be a JSON object' }] }
+  }
+
+  if (!BATCH_OPERATIONS.includes(input.op)) {
+    return { operation: null, errors: [{ field: 'op', message: `must be one of: ${BATCH_OPERATIONS.join(', ')}` }] }
+  }
+
+  if (input.op === 'create') {
+    const { todo, errors } = validateTodo(input.todo)
+    return {
+      operation: { op: 'create', todo },
+      errors: errors.map(({ field, message }) => ({ field: field ? `todo.${field}` : 'todo', message })),
+    }
+  }
+
+  const operation = { op: input.op, id: input.id }
+  const errors = []
+
+  if (typeof input.id !== 'string' || input.id.length < 1) {
+    errors.push({ field: 'id', message: 'must be a todo id' })
+  }
+
+  if (input.version !== undefined) {
+    if (Number.isInteger(input.version) && input.version >= 0) {
+      operation.version = input.version
+    } else {
+      errors.push({ field: 'version', message: 'must be a whole number, zero or more' })
+    }
+  }
+
+  if (input.op === 'update') {
+    if (input.changes && typeof input.changes === 'object' && !Array.isArray(input.changes)) {
+      operation.changes = input.changes
+    } else {
+      errors.push({ field: 'changes', message: 'must be a JSON object' })
+    }
+  }
+
+  return { operation, errors }
+}
+
+// Trim and strip control characters, but keep newlines & tabs
+function cleanText(text) {
+  // eslint-disable-next-line no-control-regex
+  return text.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '').trim()
+}
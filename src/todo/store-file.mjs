@@ -0,0 +1,32 @@
+//
+// File backed todo store, keeps everything in memory and writes it out to a JSON file on change
+// Fine for a single instance, do not point multiple replicas at the same file
+// ----------------------------------------------
+//
+
+import MemoryStore from './store-memory.mjs'
+import JsonFile from '../storage/json-file.mjs'
+
+export default class FileStore extends MemoryStore {
+  constructor(filePath) {
+    super()
+    this.name = 'JSON File'
+    this.file = new JsonFile(filePath)
+  }
+
+  async init() {
+    const todos = (await this.file.read()) ?? []
+    for (const todo of todos) {
+      this.todos.set(todo._id, todo)
+    }
+  }
+
+  // Used by the readiness check, the store is only healthy if the last write worked
+  async ping() {
+    await this.file.pendingWrite
+  }
+
+  async changed() {
+    return this.file.write([...this.todos.values()], 2)
+  }
+}
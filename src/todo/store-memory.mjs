@@ -0,0 +1,219 @@
+//
+// In-memory todo store, nothing persists past a restart
+// Handy for demos & running locally without a database
+// ----------------------------------------------
+//
+
+import { randomUUID } from 'crypto'
+import { historyEntry, HISTORY_MAX_ENTRIES } from './history.mjs'
+
+export default class MemoryStore {
+  constructor() {
+    this.name = 'In-Memory'
+    this.todos = new Map()
+  }
+
+  async init() {}
+
+  // Used by the readiness check, there is nothing that can go wrong in memory
+  async ping() {}
+
+  async list(query) {
+    const matches = [...this.todos.values()].filter((todo) => matchesQuery(todo, query))
+    if (query.sort) {
+      sortTodos(matches, query.sort, query.order)
+    }
+
+    const items = matches.slice(query.offset, query.offset + query.limit)
+    return { items: items.map(copyTodo), total: matches.length }
+  }
+
+  // Todos on any list that aren't done or deleted, are due by the given time & haven't had a reminder yet
+  async listDueForReminder(until) {
+    return [...this.todos.values()]
+      .filter((todo) => !todo.done && !todo.deletedAt && !todo.remindedAt && todo.dueDate <= until)
+      .map(copyTodo)
+  }
+
+  // Record that a reminder was sent, returns false if one already was, it's not a change so there is no new version
+  async markReminded(id) {
+    const existing = this.todos.get(id)
+    if (!existing || existing.remindedAt) {
+      return false
+    }
+
+    await this.save({ ...existing, remindedAt: new Date().toISOString() })
+    return true
+  }
+
+  async get(id, scope = {}) {
+    const todo = this.find(id, scope)
+    return todo ? copyTodo(todo) : null
+  }
+
+  async create(todo, user = null) {
+    const newTodo = { ...structuredClone(todo), _id: randomUUID(), version: 1 }
+    newTodo.history = [historyEntry('created', user, null, newTodo)]
+    await this.save(newTodo)
+
+    return copyTodo(newTodo)
+  }
+
+  async update(id, todo, scope = {}, user = null) {
+    const existing = this.find(id, scope)
+    if (!existing) {
+      return null
+    }
+
+    const updatedTodo = { ...structuredClone(todo), _id: id, version: (existing.version ?? 0) + 1 }
+
+    // A new due date gets a new reminder
+    if (existing.remindedAt && existing.dueDate === updatedTodo.dueDate) {
+      updatedTodo.remindedAt = existing.remindedAt
+    }
+    updatedTodo.history = addHistory(existing, historyEntry('updated', user, existing, updatedTodo))
+    await this.save(updatedTodo)
+
+    return copyTodo(updatedTodo)
+  }
+
+  // Deleting moves the todo to the trash, it can be brought back with restore
+  async remove(id, scope = {}, user = null) {
+    const existing = this.find(id, scope)
+    if (!existing) {
+      return false
+    }
+
+    await this.save({
+      ...existing,
+      deletedAt: new Date().toISOString(),
+      version: (existing.version ?? 0) + 1,
+      history: addHistory(existing, historyEntry('deleted', user)),
+    })
+
+    return true
+  }
+
+  // Take a todo out of the trash, scope works the same as for update
+  async restore(id, scope = {}, user = null) {
+    const existing = this.find(id, { ...scope, deleted: true })
+    if (!existing) {
+      return null
+    }
+
+    const restoredTodo = {
+      ...existing,
+      version: (existing.version ?? 0) + 1,
+      history: addHistory(existing, historyEntry('restored', user)),
+    }
+    delete restoredTodo.deletedAt
+    await this.save(restoredTodo)
+
+    return copyTodo(restoredTodo)
+  }
+
+  // History of a todo, whether it's in the trash or not
+  async getHistory(id, scope = {}) {
+    const todo = this.todos.get(id)
+    if (!todo || !isOwner(todo, scope.owner)) {
+      return null
+    }
+
+    return structuredClone(todo.history ?? [])
+  }
+
+  // Todos are replaced rather than changed in place, so a transaction can keep the original
+  async save(todo) {
+    this.remember(todo._id)
+    this.todos.set(todo._id, todo)
+    await this.changed()
+  }
+
+  // Run fn with a store where every change is undone if fn throws, changes are only saved once at the end
+  async transaction(fn) {
+    const tx = Object.create(this)
+    tx.undoLog = new Map()
+    tx.changed = async () => {}
+
+    try {
+      const result = await fn(tx)
+      await this.changed()
+      return result
+    } catch (err) {
+      for (const [id, original] of tx.undoLog) {
+        if (original) {
+          this.todos.set(id, original)
+        } else {
+          this.todos.delete(id)
+        }
+      }
+      throw err
+    }
+  }
+
+  // Keep the original of a todo the first time it's changed in a transaction, so it can be put back
+  remember(id) {
+    if (this.undoLog && !this.undoLog.has(id)) {
+      this.undoLog.set(id, this.todos.get(id))
+    }
+  }
+
+  // Look up a todo, but only if it's within the scope, i.e. belongs to the owner
+  // When the scope has a version the todo must also be at that version
+  // Todos in the trash are only found when scope.deleted is true, and then nothing else is
+  find(id, scope) {
+    const todo = this.todos.get(id)
+    if (!todo || !isOwner(todo, scope.owner)) return null
+    if (!!todo.deletedAt !== !!scope.deleted) return null
+    if (scope.version !== undefined && (todo.version ?? 0) !== scope.version) return null
+
+    return todo
+  }
+
+  // Called after every modification, subclasses can override this to persist data
+  async changed() {}
+}
+
+// Todos with no owner are on the shared list
+function isOwner(todo, owner) {
+  return (todo.owner ?? null) === (owner ?? null)
+}
+
+// History is only returned by getHistory, to keep everything else small
+function copyTodo(todo) {
+  const copy = structuredClone(todo)
+  delete copy.history
+  return copy
+}
+
+function addHistory(todo, entry) {
+  return [...(todo.history ?? []), entry].slice(-HISTORY_MAX_ENTRIES)
+}
+
+// List the trash when query.deleted is true, otherwise only todos that aren't deleted
+function matchesQuery(todo, query) {
+  if (!isOwner(todo, query.owner)) return false
+  if (!!todo.deletedAt !== !!query.deleted) return false
+  if (query.done !== undefined && todo.done !== query.done) return false
+  if (query.type !== undefined && todo.type !== query.type) return false
+  if (query.priority !== undefined && todo.priority !== query.priority) return false
+  if (query.search && !todo.title.toLowerCase().includes(query.search.toLowerCase())) return false
+
+  return true
+}
+
+// Array.sort is stable, so todos with equal values stay in the order they were added
+// Missing values sort first, the same as MongoDB does
+function sortTodos(todos, field, order) {
+  const direction = order === 'desc' ? -1 : 1
+
+  todos.sort((a, b) => {
+    const valueA = a[field] ?? null
+    const valueB = b[field] ?? null
+    if (valueA === valueB) return 0
+    if (valueA === null) return -direction
+    if (valueB === null) return direction
+
+    return valueA < valueB ? -direction : valueA > valueB ? direction : 0
+  })
+}
@@ -0,0 +1,269 @@
+//
+// MongoDB todo store, also works with Azure Cosmos DB using the Mongo API
+// ----------------------------------------------
+//
+
+import { MongoClient, ObjectId } from 'mongodb'
+import { TODO_FIELDS } from './schema.mjs'
+import { historyEntry, HISTORY_MAX_ENTRIES } from './history.mjs'
+
+const COLLECTION = 'todos'
+
+// MongoDB's IllegalOperation code, which is what a standalone server sends when asked to start a transaction
+const ILLEGAL_OPERATION = 20
+
+// History is only returned by getHistory, to keep everything else small
+const PROJECTION = { history: 0 }
+
+export default class MongoStore {
+  constructor(connStr, dbName) {
+    this.name = 'MongoDB'
+    this.connStr = connStr
+    this.dbName = dbName
+    this.client = null
+    this.db = null
+    this.session = undefined
+  }
+
+  async init() {
+    if (!this.connStr) {
+      throw new Error('TODO_MONGO_CONNSTR must be set when using the mongo todo store')
+    }
+
+    this.client = await MongoClient.connect(this.connStr, {})
+    this.db = this.client.db(this.dbName)
+  }
+
+  // Used by the readiness check, a round trip to the server
+  async ping() {
+    if (!this.db) throw new Error('Not connected to MongoDB')
+    await this.db.command({ ping: 1 })
+  }
+
+  async list(query) {
+    // List the trash when query.deleted is true, otherwise only todos that aren't deleted
+    const filter = { ...ownerFilter(query.owner), ...deletedFilter(query.deleted) }
+    if (query.done !== undefined) filter.done = query.done
+    if (query.type !== undefined) filter.type = query.type
+    if (query.priority !== undefined) filter.priority = query.priority
+    if (query.search) filter.title = { $regex: escapeRegex(query.search), $options: 'i' }
+
+    // Sort on _id as well, so paging is stable when the sort field has duplicate values
+    const sort = query.sort ? { [query.sort]: query.order === 'desc' ? -1 : 1, _id: 1 } : { _id: 1 }
+
+    const [items, total] = await Promise.all([
+      this.collection()
+        .find(filter, this.options({ projection: PROJECTION }))
+        .sort(sort)
+        .skip(query.offset)
+        .limit(query.limit)
+        .toArray(),
+      this.collection().countDocuments(filter, this.options()),
+    ])
+
+    return { items, total }
+  }
+
+  // Todos on any list that aren't done or deleted, are due by the given time & haven't had a reminder yet
+  async listDueForReminder(until) {
+    return await this.collection()
+      .find(
+        { done: false, dueDate: { $lte: until }, remindedAt: null, ...deletedFilter(false) },
+        { projection: PROJECTION },
+      )
+      .toArray()
+  }
+
+  // Record that a reminder was sent, returns false if one already was, it's not a change so there is no new version
+  // Only one instance can mark a todo, so with several replicas only one of them sends the reminder
+  async markReminded(id) {
+    const result = await this.collection().updateOne(
+      { _id: toObjectId(id), remindedAt: null },
+      { $set: { remindedAt: new Date().toISOString() } },
+    )
+    return result.modifiedCount > 0
+  }
+
+  async get(id, scope = {}) {
+    const objectId = toObjectId(id)
+    if (!objectId) {
+      return null
+    }
+
+    return await this.collection().findOne(
+      { _id: objectId, ...ownerFilter(scope.owner), ...deletedFilter(scope.deleted) },
+      this.options({ projection: PROJECTION }),
+    )
+  }
+
+  async create(todo, user = null) {
+    const newTodo = { ...todo, version: 1 }
+    const history = [historyEntry('created', user, null, newTodo)]
+    const result = await this.collection().insertOne({ ...newTodo, history }, this.options())
+
+    return { ...newTodo, _id: result.insertedId }
+  }
+
+  async update(id, todo, scope = {}, user = null) {
+    const objectId = toObjectId(id)
+    if (!objectId) {
+      return null
+    }
+
+    const fields = { ...todo }
+    delete fields._id
+    delete fields.version
+
+    // Works like a replace, but lets us bump the version in the same atomic operation
+    const update = { $set: fields, $inc: { version: 1 } }
+    const removed = TODO_FIELDS.filter((field) => fields[field] === undefined)
+    if (removed.length > 0) {
+      update.$unset = Object.fromEntries(removed.map((field) => [field, '']))
+    }
+
+    const before = await this.collection().findOneAndUpdate(
+      scopeFilter(objectId, scope),
+      update,
+      this.options({ projection: PROJECTION, returnDocument: 'before' }),
+    )
+    if (!before) {
+      return null
+    }
+
+    // We need the todo from before the update to know what changed, so history is added as a second step
+    // A new due date gets a new reminder, so that's when the reminder is cleared too
+    const afterUpdate = { $push: pushHistory(historyEntry('updated', user, before, fields)) }
+    if (before.dueDate !== fields.dueDate) {
+      afterUpdate.$unset = { remindedAt: '' }
+    }
+
+    return await this.collection().findOneAndUpdate(
+      { _id: objectId },
+      afterUpdate,
+      this.options({ projection: PROJECTION, returnDocument: 'after' }),
+    )
+  }
+
+  // Deleting moves the todo to the trash, it can be brought back with restore
+  async remove(id, scope = {}, user = null) {
+    const objectId = toObjectId(id)
+    if (!objectId) {
+      return false
+    }
+
+    const result = await this.collection().updateOne(
+      scopeFilter(objectId, scope),
+      {
+        $set: { deletedAt: new Date().toISOString() },
+        $inc: { version: 1 },
+        $push: pushHistory(historyEntry('deleted', user)),
+      },
+      this.options(),
+    )
+    return result.modifiedCount > 0
+  }
+
+  // Take a todo out of the trash, scope works the same as for update
+  async restore(id, scope = {}, user = null) {
+    const objectId = toObjectId(id)
+    if (!objectId) {
+      return null
+    }
+
+    return await this.collection().findOneAndUpdate(
+      scopeFilter(objectId, { ...scope, deleted: true }),
+      {
+        $unset: { deletedAt: '' },
+        $inc: { version: 1 },
+        $push: pushHistory(historyEntry('restored', user)),
+      },
+      this.options({ projection: PROJECTION, returnDocument: 'after' }),
+    )
+  }
+
+  // History of a todo, whether it's in the trash or not
+  async getHistory(id, scope = {}) {
+    const objectId = toObjectId(id)
+    if (!objectId) {
+      return null
+    }
+
+    const todo = await this.collection().findOne(
+      { _id: objectId, ...ownerFilter(scope.owner) },
+      this.options({ projection: { history: 1 } }),
+    )
+    return todo ? (todo.history ?? []) : null
+  }
+
+  // Run fn with a store where everything happens in a MongoDB transaction, which is aborted if fn throws
+  // Transactions need a replica set or sharded cluster, on a standalone server this throws an error with status 501
+  // The driver retries fn on transient errors, so it must be safe to run more than once
+  async transaction(fn) {
+    const session = this.client.startSession()
+    try {
+      return await session.withTransaction(async () => {
+        const tx = Object.create(this)
+        tx.session = session
+        return await fn(tx)
+      })
+    } catch (err) {
+      if (err.code === ILLEGAL_OPERATION && /transaction/i.test(err.message)) {
+        const notSupported = new Error('Atomic batches need transactions, which need MongoDB to be a replica set')
+        notSupported.status = 501
+        throw notSupported
+      }
+      throw err
+    } finally {
+      await session.endSession()
+    }
+  }
+
+  // Operations are part of the transaction when there is a session
+  options(extra = {}) {
+    return { ...extra, session: this.session }
+  }
+
+  collection() {
+    if (!this.db) {
+      throw new Error('Not connected to MongoDB')
+    }
+
+    return this.db.collection(COLLECTION)
+  }
+}
+
+// Todos with no owner are on the shared list, matching null also finds docs without the field
+function ownerFilter(owner) {
+  return { owner: owner ?? null }
+}
+
+// Matching null also finds docs without the field, i.e. todos that have never been deleted
+function deletedFilter(deleted) {
+  return { deletedAt: deleted ? { $ne: null } : null }
+}
+
+// Add to the history, only keeping the latest entries
+function pushHistory(entry) {
+  return { history: { $each: [entry], $slice: -HISTORY_MAX_ENTRIES } }
+}
+
+// Filter for a single todo within the scope, when the scope has a version the todo must also be at that version
+// Todos from before versions were added count as version 0, todos in the trash are only found when scope.deleted is true
+function scopeFilter(objectId, scope) {
+  const filter = { _id: objectId, ...ownerFilter(scope.owner), ...deletedFilter(scope.deleted) }
+  if (scope.version !== undefined) {
+    filter.version = scope.version === 0 ? { $in: [0, null] } : scope.version
+  }
+
+  return filter
+}
+
+// Search text is matched literally, not as a regex
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Invalid ids are treated as not found, rather than blowing up
+function toObjectId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null
+}
@@ -0,0 +1,43 @@
+//
+// Storage backend selection for the todo app
+// Pick a store with TODO_STORE, or it falls back to MongoDB when TODO_MONGO_CONNSTR is set
+// ----------------------------------------------
+//
+
+import MemoryStore from './store-memory.mjs'
+import FileStore from './store-file.mjs'
+import MongoStore from './store-mongo.mjs'
+
+//
+// Returns the configured store type, or null when the todo app is disabled
+//
+export function getStoreType() {
+  if (process.env.TODO_STORE) {
+    return process.env.TODO_STORE.toLowerCase()
+  }
+
+  if (process.env.TODO_MONGO_CONNSTR) {
+    return 'mongo'
+  }
+
+  return null
+}
+
+//
+// Create an instance of the configured store, call init() on it before use
+//
+export function createStore(type = getStoreType()) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore()
+
+    case 'file':
+      return new FileStore(process.env.TODO_FILE_PATH || './data/todos.json')
+
+    case 'mongo':
+      return new MongoStore(process.env.TODO_MONGO_CONNSTR, process.env.TODO_MONGO_DB || 'todoDb')
+
+    default:
+      throw new Error(`Unknown TODO_STORE type '${type}', must be one of: memory, file, mongo`)
+  }
+}
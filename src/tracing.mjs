@@ -0,0 +1,63 @@
+//
+// Optional OpenTelemetry tracing, sends traces of Express routes, outbound HTTP, MongoDB & Redis to an OTLP endpoint
+// Enabled by setting OTEL_EXPORTER_OTLP_ENDPOINT or OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, works alongside App Insights
+// NOTE: Must be loaded before anything else, with `node --import ./tracing.mjs server.mjs`, see package.json
+// ----------------------------------------------
+//
+
+// This runs before server.mjs, so .env has to be loaded here too
+import 'dotenv/config'
+
+import { register } from 'module'
+import { readFileSync } from 'fs'
+import { createLogger } from './logging/logger.mjs'
+
+if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+  // Lets the instrumentations patch ES modules as well as CommonJS, this has to happen before they are imported
+  register('@opentelemetry/instrumentation/hook.mjs', import.meta.url)
+
+  // Only load OpenTelemetry when it's needed, it's a lot of code
+  const { NodeSDK } = await import('@opentelemetry/sdk-node')
+  const { OTLPTraceExporter } = await import('@opentelemetry/exporter-trace-otlp-http')
+  const { resourceFromAttributes } = await import('@opentelemetry/resources')
+  const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = await import('@opentelemetry/semantic-conventions')
+  const { HttpInstrumentation } = await import('@opentelemetry/instrumentation-http')
+  const { ExpressInstrumentation } = await import('@opentelemetry/instrumentation-express')
+  const { MongoDBInstrumentation } = await import('@opentelemetry/instrumentation-mongodb')
+  const { RedisInstrumentation } = await import('@opentelemetry/instrumentation-redis')
+  const { UndiciInstrumentation } = await import('@opentelemetry/instrumentation-undici')
+
+  // Only traces go via OpenTelemetry, metrics are Prometheus & logs go to the console, unless set otherwise
+  process.env.OTEL_METRICS_EXPORTER ??= 'none'
+  process.env.OTEL_LOGS_EXPORTER ??= 'none'
+
+  const packageJson = JSON.parse(readFileSync(new URL('./package.json', import.meta.url)))
+
+  // Health checks & metrics scrapes happen all the time and would drown out everything else
+  const IGNORED_PATHS = ['/health', '/health/live', '/health/ready', process.env.METRICS_PATH || '/metrics']
+
+  const sdk = new NodeSDK({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || packageJson.name,
+      [ATTR_SERVICE_VERSION]: packageJson.version,
+    }),
+
+    // Picks up the endpoint, headers & timeout from the standard OTEL_EXPORTER_OTLP_* settings
+    traceExporter: new OTLPTraceExporter(),
+
+    // W3C trace context is the default propagator, so traceparent headers are sent on outbound calls
+    instrumentations: [
+      new HttpInstrumentation({
+        ignoreIncomingRequestHook: (req) => IGNORED_PATHS.includes(req.url?.split('?')[0]),
+      }),
+      new ExpressInstrumentation(),
+      new MongoDBInstrumentation(),
+      new RedisInstrumentation(),
+      // Node's built in fetch uses undici
+      new UndiciInstrumentation(),
+    ],
+  })
+
+  sdk.start()
+  createLogger('tracing').info('🔭 OpenTelemetry tracing enabled, sending traces via OTLP')
+}
@@ -0,0 +1,61 @@
+//
+// Time limited cache for weather results, so repeated page loads don't use up the provider's API quota
+// Hits & misses are counted in the Prometheus metrics, labelled by the kind of result
+// ----------------------------------------------
+//
+
+import promClient from 'prom-client'
+
+const hitCounter = new promClient.Counter({
+  name: 'weather_cache_hits_total',
+  help: 'Weather requests answered from the cache',
+  labelNames: ['kind'],
+})
+
+const missCounter = new promClient.Counter({
+  name: 'weather_cache_misses_total',
+  help: 'Weather requests that had to call the weather provider',
+  labelNames: ['kind'],
+})
+
+export default class TtlCache {
+  constructor(ttlSeconds, maxEntries = 1000) {
+    this.ttl = ttlSeconds * 1000
+    this.maxEntries = maxEntries
+    this.entries = new Map()
+  }
+
+  //
+  // Get a cached value, or call load to get it and keep it for next time
+  // The promise is cached rather than the result, so requests that arrive together only call load once
+  //
+  async fetch(kind, key, load) {
+    const cacheKey = `${kind}:${key}`
+    const entry = this.entries.get(cacheKey)
+    if (entry && entry.expires > Date.now()) {
+      hitCounter.inc({ kind })
+      return entry.value
+    }
+
+    missCounter.inc({ kind })
+    const value = load()
+    this.set(cacheKey, value)
+
+    // Don't keep failures, the next request should try again
+    value.catch(() => {
+      if (this.entries.get(cacheKey)?.value === value) this.entries.delete(cacheKey)
+    })
+
+    return value
+  }
+
+  // Maps keep insertion order, so the first key is always the oldest
+  set(key, value) {
+    this.entries.delete(key)
+    this.entries.set(key, { value, expires: Date.now() + this.ttl })
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+}
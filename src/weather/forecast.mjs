@@ -0,0 +1,52 @@
+//
+// Forecast helpers, providers return forecasts as a series of periods a few hours apart
+// These are rolled up here into a daily outlook, so every provider gets it for free
+// ----------------------------------------------
+//
+
+import { round } from './units.mjs'
+
+//
+// Roll periods up into days, using the local date at the location
+// Each day has the lowest & highest temperature, the total precipitation, the strongest wind
+// and the conditions from the period closest to midday
+//
+export function toDaily(forecast) {
+  const days = new Map()
+  const hoursFromMidday = new Map()
+
+  for (const period of forecast.periods) {
+    const local = new Date(Date.parse(period.time) + forecast.timezoneOffset * 1000)
+    const date = local.toISOString().slice(0, 10)
+    const fromMidday = Math.abs(local.getUTCHours() - 12)
+
+    const day = days.get(date)
+    if (!day) {
+      days.set(date, {
+        date,
+        tempMin: period.tempMin,
+        tempMax: period.tempMax,
+        description: period.description,
+        icon: period.icon,
+        precipitation: period.precipitation,
+        chanceOfPrecipitation: period.chanceOfPrecipitation,
+        windSpeed: period.windSpeed,
+      })
+      hoursFromMidday.set(date, fromMidday)
+      continue
+    }
+
+    day.tempMin = Math.min(day.tempMin, period.tempMin)
+    day.tempMax = Math.max(day.tempMax, period.tempMax)
+    day.precipitation = round(day.precipitation + period.precipitation, 100)
+    day.chanceOfPrecipitation = Math.max(day.chanceOfPrecipitation, period.chanceOfPrecipitation)
+    day.windSpeed = Math.max(day.windSpeed, period.windSpeed)
+    if (fromMidday < hoursFromMidday.get(date)) {
+      day.description = period.description
+      day.icon = period.icon
+      hoursFromMidday.set(date, fromMidday)
+    }
+  }
+
+  return [...days.values()]
+}
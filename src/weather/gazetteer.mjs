@@ -0,0 +1,56 @@
+//
+// Offline place search for the weather page, using a small bundled list of cities in cities.json
+// Matching ignores case & accents, so 'sao paulo' finds São Paulo
+// ----------------------------------------------
+//
+
+import { readFileSync } from 'fs'
+
+export const SEARCH_MAX_LENGTH = 100
+export const SEARCH_LIMIT_DEFAULT = 10
+export const SEARCH_LIMIT_MAX = 20
+
+const CITIES = JSON.parse(readFileSync(new URL('./cities.json', import.meta.url))).map((city) => ({
+  ...city,
+  searchName: normalise(city.name),
+}))
+
+//
+// Find places matching the query, best matches first, returns an array of { name, country, lat, long }
+// Exact names come first, then names starting with the query, then any word starting with it, then anywhere in the name
+//
+export function searchPlaces(query, limit = SEARCH_LIMIT_DEFAULT) {
+  const search = normalise(query)
+  if (!search) return []
+
+  const matches = []
+  for (const city of CITIES) {
+    const rank = matchRank(city.searchName, search)
+    if (rank !== null) matches.push({ city, rank })
+  }
+
+  matches.sort((a, b) => a.rank - b.rank || a.city.name.localeCompare(b.city.name))
+
+  return matches.slice(0, limit).map(({ city: { name, country, lat, long } }) => ({ name, country, lat, long }))
+}
+
+// Lower is better, null is no match
+function matchRank(name, search) {
+  if (name === search) return 0
+  if (name.startsWith(search)) return 1
+  if (name.split(' ').some((word) => word.startsWith(search))) return 2
+  if (name.includes(search)) return 3
+
+  return null
+}
+
+// Strip accents, punctuation & case, e.g. 'Reykjavík' becomes 'reykjavik'
+function normalise(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
@@ -0,0 +1,125 @@
+//
+// Weather history, keeps the observations from every lookup so trends can be shown
+// Observations are stored per location in metric units, and converted when read back
+// Set WEATHER_HISTORY to memory (the default), file or none
+// ----------------------------------------------
+//
+
+import JsonFile from '../storage/json-file.mjs'
+import { toTemperature, toSpeed, toPrecipitation, fromTemperature, fromSpeed, fromPrecipitation } from './units.mjs'
+
+// A week is plenty for a trend, and caps how much is kept for busy locations
+export const HISTORY_MAX_HOURS = 7 * 24
+export const HISTORY_HOURS_DEFAULT = 24
+const MAX_PER_LOCATION = 1000
+const MAX_LOCATIONS = 1000
+
+export class MemoryHistory {
+  constructor() {
+    this.name = 'Memory'
+    // Map of 'lat,long' to an array of observations, oldest first
+    this.locations = new Map()
+  }
+
+  async init() {}
+
+  //
+  // Add the current weather at a location, as returned by a provider in any units
+  // Providers can return the same observation more than once, these are only kept once
+  //
+  async record(lat, long, weather) {
+    const key = `${lat},${long}`
+    const observations = this.locations.get(key) ?? []
+    if (observations.at(-1)?.observedAt === weather.observedAt) return
+
+    observations.push(toObservation(weather))
+
+    // Drop anything too old, and move the location to the end so the least recently updated are dropped first
+    const since = new Date(Date.now() - HISTORY_MAX_HOURS * 60 * 60 * 1000).toISOString()
+    const keep = observations.filter((obs) => obs.observedAt >= since).slice(-MAX_PER_LOCATION)
+    this.locations.delete(key)
+    this.locations.set(key, keep)
+
+    if (this.locations.size > MAX_LOCATIONS) {
+      this.locations.delete(this.locations.keys().next().value)
+    }
+
+    await this.changed()
+  }
+
+  //
+  // Observations at a location from the last number of hours, oldest first, converted to the given units
+  //
+  async list(lat, long, hours, units = 'metric') {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString()
+    const observations = this.locations.get(`${lat},${long}`) ?? []
+
+    return observations.filter((obs) => obs.observedAt >= since).map((obs) => fromObservation(obs, units))
+  }
+
+  // Called after every change, the file history overrides this to save
+  async changed() {}
+}
+
+export class FileHistory extends MemoryHistory {
+  constructor(filePath) {
+    super()
+    this.name = 'JSON File'
+    this.file = new JsonFile(filePath)
+  }
+
+  async init() {
+    const locations = (await this.file.read()) ?? {}
+    for (const [key, observations] of Object.entries(locations)) {
+      this.locations.set(key, observations)
+    }
+  }
+
+  async changed() {
+    return this.file.write(Object.fromEntries(this.locations))
+  }
+}
+
+//
+// Create the configured history, or null when it's turned off, call init() on it before use
+//
+export function createHistory(type = (process.env.WEATHER_HISTORY || 'memory').toLowerCase()) {
+  switch (type) {
+    case 'none':
+      return null
+
+    case 'memory':
+      return new MemoryHistory()
+
+    case 'file':
+      return new FileHistory(process.env.WEATHER_HISTORY_FILE_PATH || './data/weather-history.json')
+
+    default:
+      throw new Error(`Unknown WEATHER_HISTORY type '${type}', must be one of: memory, file, none`)
+  }
+}
+
+// Only the values worth charting are kept, always in metric
+function toObservation(weather) {
+  const units = weather.units
+  return {
+    observedAt: weather.observedAt,
+    temperature: fromTemperature(weather.temperature.current, units),
+    feelsLike: fromTemperature(weather.temperature.feelsLike, units),
+    humidity: weather.humidity,
+    windSpeed: fromSpeed(weather.wind.speed, units),
+    precipitation: fromPrecipitation(weather.precipitation.lastHour, units),
+    cloudCover: weather.conditions.cloudCover,
+    description: weather.conditions.description,
+  }
+}
+
+function fromObservation(obs, units) {
+  return {
+    ...obs,
+    temperature: toTemperature(obs.temperature, units),
+    feelsLike: toTemperature(obs.feelsLike, units),
+    windSpeed: toSpeed(obs.windSpeed, units),
+    precipitation: toPrecipitation(obs.precipitation, units),
+  }
+}
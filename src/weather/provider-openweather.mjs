@@ -0,0 +1,121 @@
+//
+// OpenWeather weather provider, see https://openweathermap.org/current & https://openweathermap.org/forecast5
+// ----------------------------------------------
+//
+
+import { getClient } from '../http/client.mjs'
+import { WeatherError } from './schema.mjs'
+import { toPrecipitation } from './units.mjs'
+
+const BASE_URL = 'https://api.openweathermap.org/data/2.5'
+
+export default class OpenWeatherProvider {
+  constructor(apiKey) {
+    if (!apiKey) {
+      throw new Error('WEATHER_API_KEY must be set when using the openweather provider')
+    }
+
+    this.name = 'OpenWeather'
+    this.apiKey = apiKey
+    this.client = getClient('OpenWeather', { baseURL: BASE_URL })
+  }
+
+  // Units are metric or imperial, OpenWeather converts temperatures & wind speeds for us
+  async current(lat, long, units = 'metric') {
+    const data = await this.get('weather', { units, lat, lon: long })
+    if (!data || !data.main) {
+      throw new WeatherError(`Current weather not available for: ${lat},${long}`)
+    }
+
+    return {
+      location: { name: data.name, country: data.sys?.country ?? '', lat, long },
+      observedAt: new Date(data.dt * 1000).toISOString(),
+      units,
+      conditions: {
+        description: data.weather?.[0]?.description ?? '',
+        icon: data.weather?.[0]?.icon ?? '',
+        cloudCover: data.clouds?.all ?? 0,
+      },
+      temperature: {
+        current: data.main.temp,
+        feelsLike: data.main.feels_like,
+        min: data.main.temp_min,
+        max: data.main.temp_max,
+      },
+      humidity: data.main.humidity,
+      wind: { speed: data.wind?.speed ?? 0, direction: data.wind?.deg ?? null },
+      precipitation: { lastHour: toPrecipitation((data.rain?.['1h'] ?? 0) + (data.snow?.['1h'] ?? 0), units) },
+    }
+  }
+
+  // The free API has a five day forecast in three hour steps, see https://openweathermap.org/forecast5
+  async forecast(lat, long, units = 'metric') {
+    const data = await this.get('forecast', { units, lat, lon: long })
+    if (!data || !data.list) {
+      throw new WeatherError(`Forecast not available for: ${lat},${long}`)
+    }
+
+    const { city, list } = data
+    return {
+      location: { name: city.name, country: city.country ?? '', lat, long },
+      timezoneOffset: city.timezone ?? 0,
+      periods: list.map((item) => ({
+        time: new Date(item.dt * 1000).toISOString(),
+        temp: item.main.temp,
+        tempMin: item.main.temp_min,
+        tempMax: item.main.temp_max,
+        description: item.weather[0]?.description ?? '',
+        icon: item.weather[0]?.icon ?? '',
+        cloudCover: item.clouds?.all ?? 0,
+        windSpeed: item.wind?.speed ?? 0,
+        // Rain & snow always come in mm, whatever the units
+        precipitation: toPrecipitation((item.rain?.['3h'] ?? 0) + (item.snow?.['3h'] ?? 0), units),
+        chanceOfPrecipitation: Math.round((item.pop ?? 0) * 100),
+      })),
+    }
+  }
+
+  // Used by the readiness check, the cheapest call there is, without retries so it fails fast
+  async ping() {
+    await this.client.request({ url: 'weather', params: { lat: 0, lon: 0, appid: this.apiKey }, retries: 0 })
+  }
+
+  // Call the API, turning failures into a WeatherError with a status that makes sense to our callers
+  async get(path, params) {
+    try {
+      const resp = await this.client.get(path, { params: { ...params, appid: this.apiKey } })
+      return resp.data
+    } catch (err) {
+      throw toWeatherError(err)
+    }
+  }
+}
+
+function toWeatherError(err) {
+  if (err.code === 'ECIRCUITOPEN') {
+    return new WeatherError('OpenWeather is failing, not calling it again until it has had time to recover', 503)
+  }
+
+  if (!err.response) {
+    if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+      return new WeatherError('OpenWeather did not respond in time', 504)
+    }
+    return new WeatherError(`Unable to reach OpenWeather: ${err.message}`, 502)
+  }
+
+  const status = err.response.status
+  const message = err.response.data?.message ?? err.message
+
+  switch (status) {
+    case 400:
+    case 404:
+      return new WeatherError(`OpenWeather: ${message}`, status)
+    case 401:
+    case 403:
+      return new WeatherError('OpenWeather rejected the API key, check WEATHER_API_KEY', 502)
+    case 429:
+      return new WeatherError('OpenWeather rate limit reached, try again later', 503)
+    default:
+      return new WeatherError(`OpenWeather failed with ${status}: ${message}`, 502)
+  }
+}
@@ -0,0 +1,133 @@
+//
+// Stub weather provider, makes up the weather without calling anything
+// Results only depend on the location & time of day, so they are repeatable; handy for offline dev & tests
+// ----------------------------------------------
+//
+
+import { toTemperature, toSpeed, toPrecipitation, round } from './units.mjs'
+
+// Description & OpenWeather icon for each kind of weather the stub can return
+const CONDITIONS = [
+  { description: 'clear sky', icon: '01d' },
+  { description: 'few clouds', icon: '02d' },
+  { description: 'scattered clouds', icon: '03d' },
+  { description: 'overcast clouds', icon: '04d' },
+  { description: 'light rain', icon: '10d' },
+  { description: 'thunderstorm', icon: '11d' },
+  { description: 'snow', icon: '13d' },
+  { description: 'mist', icon: '50d' },
+]
+
+export default class StubProvider {
+  constructor() {
+    this.name = 'Stub'
+  }
+
+  // Used by the readiness check, the stub doesn't call anything so is always ready
+  async ping() {}
+
+  // Temperatures follow the time of day, so there is something to see in the history
+  async current(lat, long, units = 'metric') {
+    const observedAt = new Date().toISOString()
+    const weather = makeWeather(`${lat},${long}`, lat, timeOfDayShift(observedAt, long))
+
+    return {
+      location: { name: stubName(lat, long), country: 'XX', lat, long },
+      observedAt,
+      units,
+      conditions: { description: weather.description, icon: weather.icon, cloudCover: weather.cloudCover },
+      temperature: {
+        current: toTemperature(weather.temp, units),
+        feelsLike: toTemperature(weather.feelsLike, units),
+        min: toTemperature(round(weather.temp - 2), units),
+        max: toTemperature(round(weather.temp + 2), units),
+      },
+      humidity: weather.humidity,
+      wind: { speed: toSpeed(weather.windSpeed, units), direction: weather.windDirection },
+      precipitation: { lastHour: toPrecipitation(weather.rain, units) },
+    }
+  }
+
+  // Five days in three hour steps like OpenWeather, each step only depends on the location & time
+  async forecast(lat, long, units = 'metric') {
+    const step = 3 * 60 * 60 * 1000
+    const start = Math.ceil(Date.now() / step) * step
+
+    const timezoneOffset = stubTimezoneOffset(long)
+
+    const periods = []
+    for (let i = 0; i < 40; i++) {
+      const time = new Date(start + i * step).toISOString()
+      const localHour = new Date(Date.parse(time) + timezoneOffset * 1000).getUTCHours()
+      const weather = makeWeather(`${lat},${long},${time}`, lat, timeOfDayShift(time, long))
+
+      periods.push({
+        time,
+        temp: toTemperature(weather.temp, units),
+        tempMin: toTemperature(round(weather.temp - 1), units),
+        tempMax: toTemperature(round(weather.temp + 1), units),
+        description: weather.description,
+        icon: localHour >= 6 && localHour < 18 ? weather.icon : weather.icon.replace('d', 'n'),
+        cloudCover: weather.cloudCover,
+        windSpeed: toSpeed(weather.windSpeed, units),
+        precipitation: toPrecipitation(weather.rain, units),
+        chanceOfPrecipitation: weather.rain > 0 ? 50 + Math.round(weather.rain * 10) : 0,
+      })
+    }
+
+    return { location: { name: stubName(lat, long), country: 'XX', lat, long }, timezoneOffset, periods }
+  }
+}
+
+// Make up some weather in metric units, from a seed so it's the same every time
+function makeWeather(seed, lat, tempShift) {
+  const random = seededRandom(seed)
+  const condition = CONDITIONS[Math.floor(random() * CONDITIONS.length)]
+
+  // Warmer nearer the equator, give or take a few degrees
+  const temp = round(30 - Math.abs(lat) * 0.5 + (random() - 0.5) * 10 + tempShift)
+  const wet = condition.icon === '10d' || condition.icon === '11d'
+
+  return {
+    description: condition.description,
+    icon: condition.icon,
+    temp,
+    feelsLike: round(temp - random() * 3),
+    humidity: Math.round(random() * 100),
+    cloudCover: Math.round(random() * 100),
+    windSpeed: round(random() * 15),
+    windDirection: Math.round(random() * 359),
+    rain: wet ? round(random() * 5) : 0,
+  }
+}
+
+// Near enough, every 15 degrees of longitude is an hour of time difference
+function stubTimezoneOffset(long) {
+  return Math.round(long / 15) * 3600
+}
+
+// Coldest around 3am, warmest around 3pm, by local time
+function timeOfDayShift(time, long) {
+  const local = new Date(Date.parse(time) + stubTimezoneOffset(long) * 1000)
+  const localHour = local.getUTCHours() + local.getUTCMinutes() / 60
+  return -Math.cos(((localHour - 3) / 24) * 2 * Math.PI) * 5
+}
+
+function stubName(lat, long) {
+  return `Stub Town (${lat}, ${long})`
+}
+
+// Simple hash of the seed text fed into mulberry32, gives a repeatable series of numbers between 0 and 1
+function seededRandom(seed) {
+  let state = 0
+  for (const char of seed) {
+    state = (Math.imul(state, 31) + char.charCodeAt(0)) | 0
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
@@ -0,0 +1,42 @@
+//
+// Weather provider selection for the weather page & API
+// Pick a provider with WEATHER_PROVIDER, or it falls back to OpenWeather when WEATHER_API_KEY is set
+// ----------------------------------------------
+//
+
+import OpenWeatherProvider from './provider-openweather.mjs'
+import StubProvider from './provider-stub.mjs'
+
+//
+// Returns the configured provider type, or null when the weather feature is disabled
+//
+export function getProviderType() {
+  if (process.env.WEATHER_PROVIDER) {
+    return process.env.WEATHER_PROVIDER.toLowerCase()
+  }
+
+  if (process.env.WEATHER_API_KEY) {
+    return 'openweather'
+  }
+
+  return null
+}
+
+//
+// Create an instance of the configured provider, every provider has two methods, both take units of metric or imperial
+// - current(lat, long, units) returns the current weather at that location
+// - forecast(lat, long, units) returns { location, timezoneOffset, periods }
+// Results must match the shapes in schema.mjs, and errors should be a WeatherError
+//
+export function createProvider(type = getProviderType()) {
+  switch (type) {
+    case 'openweather':
+      return new OpenWeatherProvider(process.env.WEATHER_API_KEY)
+
+    case 'stub':
+      return new StubProvider()
+
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER type '${type}', must be one of: openweather, stub`)
+  }
+}
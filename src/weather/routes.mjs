@@ -0,0 +1,273 @@
+//
+// Weather API, only shows up when WEATHER_PROVIDER or WEATHER_API_KEY is set
+// ----------------------------------------------
+//
+
+import express from 'express'
+const router = express.Router()
+import appInsights from 'applicationinsights'
+import promClient from 'prom-client'
+import { DURATION_BUCKETS } from '../routes/metrics.mjs'
+import { createProvider, getProviderType } from './provider.mjs'
+import TtlCache from './cache.mjs'
+import { toDaily } from './forecast.mjs'
+import { WeatherError, FORECAST_MODES, UNITS } from './schema.mjs'
+import { createHistory, HISTORY_MAX_HOURS, HISTORY_HOURS_DEFAULT } from './history.mjs'
+import { searchPlaces, SEARCH_MAX_LENGTH, SEARCH_LIMIT_DEFAULT, SEARCH_LIMIT_MAX } from './gazetteer.mjs'
+import { createLogger } from '../logging/logger.mjs'
+import { registerCheck } from '../health/checks.mjs'
+
+// Weather doesn't change that fast, OpenWeather only updates about every 10 minutes
+const CACHE_SECONDS = parseInt(process.env.WEATHER_CACHE_SECONDS ?? '600')
+
+// Rounding to 2 decimal places is roughly 1km, close enough to share the weather between nearby users
+const COORD_DECIMALS = 2
+const log = createLogger('weather')
+
+// Readiness checks of a real provider use up API quota, so only check once a minute
+const HEALTH_CHECK_SECONDS = 60
+
+const upstreamDuration = new promClient.Histogram({
+  name: 'weather_upstream_duration_seconds',
+  help: 'How long calls to the weather provider take, successful or not',
+  labelNames: ['provider', 'kind'],
+  buckets: DURATION_BUCKETS,
+})
+
+const upstreamErrors = new promClient.Counter({
+  name: 'weather_upstream_errors_total',
+  help: 'Failed calls to the weather provider, by the status sent back to our callers',
+  labelNames: ['provider', 'kind', 'status'],
+})
+
+let provider = null
+let history = null
+const cache = new TtlCache(CACHE_SECONDS)
+
+if (getProviderType()) {
+  try {
+    provider = createProvider()
+    log.info(`⛅ Enabled weather. Using ${provider.name} provider, caching for ${CACHE_SECONDS} seconds`)
+  } catch (err) {
+    log.error('💥 Weather failed to start', { err })
+  }
+
+  // The rest of the app works without the weather, so this can only make the app degraded, never not ready
+  registerCheck(
+    'weather-provider',
+    async () => {
+      if (!provider) throw new Error('Weather provider failed to start')
+      await provider.ping()
+    },
+    { critical: false, cacheSeconds: HEALTH_CHECK_SECONDS },
+  )
+}
+
+//
+// Load any saved weather history, the weather still works without it
+//
+;(async function () {
+  if (!provider) return
+  try {
+    const configured = createHistory()
+    await configured?.init()
+    history = configured
+    if (history) log.info(`📈 Weather history enabled, using ${history.name} history`)
+  } catch (err) {
+    log.error('💥 Weather history failed to start', { err })
+  }
+})()
+
+// =======================================================================
+// Get weather data as JSON, units can be metric (the default) or imperial
+// See schema.mjs for the shape of the response
+// =======================================================================
+router.get('/api/weather/:lat/:long', parseRequest, async function (req, res, next) {
+  const { lat, long, units } = req.weather
+
+  try {
+    const data = await cached('current', `${lat},${long},${units}`, async () => {
+      const weather = await callProvider('current', () => provider.current(lat, long, units))
+      recordHistory(lat, long, weather)
+      return weather
+    })
+
+    // Send custom metric over to App Insights - 'weatherTemp' with the temperature, always in Celsius
+    if (appInsights.defaultClient && units === 'metric') {
+      appInsights.defaultClient.trackMetric({
+        name: 'weatherTemp',
+        value: data.temperature.current,
+        // Extra meta data
+        properties: { city: data.location.name, country: data.location.country },
+      })
+    }
+
+    res.status(200).send(data)
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+// =======================================================================
+// Get the forecast as JSON, mode is daily (the default) or hourly, units as above
+// Hourly periods are as often as the provider has them, every three hours for OpenWeather
+// =======================================================================
+router.get('/api/weather/:lat/:long/forecast', parseRequest, async function (req, res, next) {
+  const { lat, long, units } = req.weather
+
+  const mode = req.query.mode ?? 'daily'
+  if (!FORECAST_MODES.includes(mode)) {
+    return sendError(res, new WeatherError(`Invalid mode, must be one of: ${FORECAST_MODES.join(', ')}`, 400))
+  }
+
+  try {
+    const forecast = await cached('forecast', `${lat},${long},${units}`, () =>
+      callProvider('forecast', () => provider.forecast(lat, long, units)),
+    )
+
+    res.status(200).send({
+      location: forecast.location,
+      units,
+      mode,
+      periods: mode === 'daily' ? toDaily(forecast) : forecast.periods,
+    })
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+// =======================================================================
+// Get the weather history at a location as JSON, oldest first, units as above
+// Hours is how far back to go, observations are only added when the weather is fetched from the provider
+// =======================================================================
+router.get('/api/weather/:lat/:long/history', parseRequest, async function (req, res, next) {
+  const { lat, long, units } = req.weather
+
+  if (!history) {
+    return sendError(res, new WeatherError('Weather history is not enabled', 503))
+  }
+
+  const hours = Number(req.query.hours ?? HISTORY_HOURS_DEFAULT)
+  if (!Number.isInteger(hours) || hours < 1 || hours > HISTORY_MAX_HOURS) {
+    return sendError(res, new WeatherError(`Hours must be a whole number between 1 and ${HISTORY_MAX_HOURS}`, 400))
+  }
+
+  try {
+    const observations = await history.list(lat, long, hours, units)
+    res.status(200).send({ location: { lat, long }, units, hours, observations })
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+// =======================================================================
+// Search for places by name, from the offline list of cities in gazetteer.mjs
+// Returns { places } where each is { name, country, lat, long }
+// =======================================================================
+router.get('/api/weather/places', function (req, res, next) {
+  const query = req.query.q
+  if (typeof query !== 'string' || query.trim().length < 1 || query.length > SEARCH_MAX_LENGTH) {
+    return sendError(res, new WeatherError(`Search must be 1 to ${SEARCH_MAX_LENGTH} characters`, 400))
+  }
+
+  const limit = Number(req.query.limit ?? SEARCH_LIMIT_DEFAULT)
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_LIMIT_MAX) {
+    return sendError(res, new WeatherError(`Limit must be a whole number between 1 and ${SEARCH_LIMIT_MAX}`, 400))
+  }
+
+  res.status(200).send({ places: searchPlaces(query, limit) })
+})
+
+//
+// Middleware to check the location & units for a weather request, sets req.weather
+//
+function parseRequest(req, res, next) {
+  if (!provider) {
+    return sendError(res, new WeatherError('Weather provider is not configured', 503))
+  }
+
+  const lat = parseCoord(req.params.lat, 90)
+  if (lat === null) {
+    return sendError(res, new WeatherError('Invalid latitude, must be a number between -90 and 90', 400))
+  }
+
+  const long = parseCoord(req.params.long, 180)
+  if (long === null) {
+    return sendError(res, new WeatherError('Invalid longitude, must be a number between -180 and 180', 400))
+  }
+
+  const units = req.query.units ?? 'metric'
+  if (!UNITS.includes(units)) {
+    return sendError(res, new WeatherError(`Invalid units, must be one of: ${UNITS.join(', ')}`, 400))
+  }
+
+  req.weather = { lat, long, units }
+  next()
+}
+
+//
+// Cache results per location & units, CACHE_SECONDS of zero turns the cache off
+//
+function cached(kind, key, load) {
+  if (CACHE_SECONDS <= 0) return load()
+
+  return cache.fetch(kind, key, load)
+}
+
+//
+// Call the provider, timing the call and counting failures, kind is current or forecast
+//
+async function callProvider(kind, call) {
+  const labels = { provider: provider.name, kind }
+  const endTimer = upstreamDuration.startTimer(labels)
+  try {
+    return await call()
+  } catch (err) {
+    upstreamErrors.inc({ ...labels, status: err instanceof WeatherError ? err.status : 500 })
+    throw err
+  } finally {
+    endTimer()
+  }
+}
+
+//
+// Keep the weather in the history, failing to save it shouldn't fail the request
+//
+function recordHistory(lat, long, weather) {
+  if (!history) return
+
+  history.record(lat, long, weather).catch((err) => {
+    log.error('💥 Weather history failed to save', { err })
+  })
+}
+
+//
+// Parse a latitude or longitude from the URL and round it, returns null when it's not a plain decimal number
+// or is outside -max to max, so nothing odd is ever passed on to the provider
+//
+function parseCoord(value, max) {
+  if (!/^[-+]?\d{1,3}(\.\d+)?$/.test(value)) return null
+
+  const number = parseFloat(value)
+  if (Math.abs(number) > max) return null
+
+  return Number(number.toFixed(COORD_DECIMALS))
+}
+
+//
+// Send an error as JSON, WeatherErrors have their own status, anything else is a 500
+// Server side problems are logged & tracked, bad requests aren't
+//
+function sendError(res, err) {
+  const status = err instanceof WeatherError ? err.status : 500
+  if (status >= 500) {
+    log.error('💥 Weather API error', { err })
+    if (appInsights.defaultClient) {
+      appInsights.defaultClient.trackException({ exception: err })
+    }
+  }
+
+  res.status(status).send({ error: err.message ?? String(err) })
+}
+
+export default router
@@ -0,0 +1,56 @@
+//
+// Weather response schema, every provider returns these shapes so clients never see provider specific fields
+// ----------------------------------------------
+//
+// Current weather, from GET /api/weather/{lat}/{long}
+//   location       { name, country, lat, long }
+//   observedAt     ISO 8601 time the weather was measured
+//   units          'metric' or 'imperial', see UNIT_LABELS
+//   conditions     { description, icon, cloudCover }, icon is an OpenWeather icon code & cloud cover a percentage
+//   temperature    { current, feelsLike, min, max }
+//   humidity       percentage
+//   wind           { speed, direction }, direction is in degrees and null when not known
+//   precipitation  { lastHour }, rain & snow combined
+//
+// Forecast, from GET /api/weather/{lat}/{long}/forecast
+//   location       as above
+//   units          as above
+//   mode           'daily' or 'hourly'
+//   periods        for hourly, array of { time, temp, tempMin, tempMax, description, icon, cloudCover,
+//                  windSpeed, precipitation, chanceOfPrecipitation }
+//                  for daily, array of { date, tempMin, tempMax, description, icon, windSpeed,
+//                  precipitation, chanceOfPrecipitation }, where date is the local date at the location
+//
+// History, from GET /api/weather/{lat}/{long}/history
+//   location       { lat, long }, as rounded for the cache
+//   units          as above
+//   hours          how far back the observations go
+//   observations   array of { observedAt, temperature, feelsLike, humidity, windSpeed, precipitation,
+//                  cloudCover, description }, oldest first
+//
+// Errors are JSON { error } with a status code, see WeatherError
+//
+
+export const UNITS = ['metric', 'imperial']
+export const FORECAST_MODES = ['daily', 'hourly']
+
+export const UNIT_LABELS = {
+  metric: { temperature: '°C', speed: 'm/s', precipitation: 'mm' },
+  imperial: { temperature: '°F', speed: 'mph', precipitation: 'in' },
+}
+
+//
+// Errors with the HTTP status to send back, providers throw these when something goes wrong
+//   400 the request was bad, e.g. an invalid location
+//   404 the provider doesn't know the location
+//   502 the provider failed or returned something we don't understand
+//   503 the provider isn't available right now, e.g. we've hit its rate limit
+//   504 the provider took too long to answer
+//
+export class WeatherError extends Error {
+  constructor(message, status = 502) {
+    super(message)
+    this.name = 'WeatherError'
+    this.status = status
+  }
+}
@@ -0,0 +1,35 @@
+//
+// Convert weather values between metric & imperial units, see UNIT_LABELS in schema.mjs
+// ----------------------------------------------
+//
+
+// Celsius & Fahrenheit
+export function toTemperature(celsius, units) {
+  return units === 'imperial' ? round((celsius * 9) / 5 + 32) : celsius
+}
+
+export function fromTemperature(value, units) {
+  return units === 'imperial' ? round(((value - 32) * 5) / 9) : value
+}
+
+// Metres per second & miles per hour
+export function toSpeed(metresPerSecond, units) {
+  return units === 'imperial' ? round(metresPerSecond * 2.237) : metresPerSecond
+}
+
+export function fromSpeed(value, units) {
+  return units === 'imperial' ? round(value / 2.237) : value
+}
+
+// Millimetres & inches
+export function toPrecipitation(mm, units) {
+  return units === 'imperial' ? round(mm / 25.4, 100) : mm
+}
+
+export function fromPrecipitation(value, units) {
+  return units === 'imperial' ? round(value * 25.4) : value
+}
+
+export function round(value, factor = 10) {
+  return Math.round(value * factor) / factor
+}